@@ -58,7 +58,7 @@
 // Pretty useful. So an accumulable is any object that implements a special
 // `accumulate()` method, which is the same as `reduce()`, but is not required
 // to return a value. If the object doesn't have an accumulate method, we fall
-// back to `reduce` (e.g. arrays or Backbone collections).
+// back to stepping through arrays, or to `reduce` (e.g. Backbone collections).
 
 // The basics
 // ----------
@@ -76,10 +76,10 @@
 // The mechanics of _how_ the accumulation happens are left up to the
 // `accumulate` method.
 //
-// `accumulate` takes the same arguments as `reduce` method, but it is not
-// expected to return a value.
+// `accumulate` takes the same arguments as `reduce` method, but instead of
+// a value, it returns a _disposer_ function (see below).
 //
-//     function accumulate(next, initial) { ... }
+//     function accumulate(next, initial) { ... return dispose; }
 //
 // ...where `next` is a reducer function -- a function with shape:
 //
@@ -88,22 +88,47 @@
 // Accumulatable sources are just a series of calls to `next` within
 // `accumulate` method.
 //
-// Because `accumulate` is not expected to return a value, calls to `next` by
-// accumulate may happen over multiple turns of the event loop, allowing
-// accumulation of async sources to happen.
+// Because `accumulate` returns a disposer rather than the accumulated value,
+// calls to `next` may happen over many turns of the event loop, allowing
+// accumulation of async sources to happen. Values arrive through `next`, never
+// through the return value.
 //
-// Since accumulate does not return a value, we use a special `end` token to
-// denote the end of a sequence (see below).
+// Since there is no return value to mark where a sequence finishes, we use a
+// special `end` token to denote the end of a sequence (see below).
+//
+// Calling the disposer returned by `accumulate` stops the source right away:
+// timers are cleared, listeners removed and requests aborted, and `next` is
+// not called again, not even with `end`. Disposers may be called more than
+// once. Sources that have nothing to tear down may return nothing.
+//
+// Where `Symbol.asyncIterator` is supported, accumulatables can also be
+// consumed with `for await` (see `toAsyncIterator()`).
 function accumulatable(accumulate, o) {
   // Use optional provided object, or create a new one.
   o = o || {};
   // Assign accumulate function to the `accumulate` field.
   o.accumulate = accumulate;
+  // Make accumulatable async-iterable, where supported.
+  if (symbolAsyncIterator) o[symbolAsyncIterator] = asyncIteratorMethod_;
   return o;
 }
 export accumulatable;
 
 
+// Iteration protocol symbols, or `undefined` in environments that don't
+// support them.
+var symbolIterator = typeof Symbol === 'function' ? Symbol.iterator : undefined;
+var symbolAsyncIterator = typeof Symbol === 'function' ? Symbol.asyncIterator : undefined;
+
+
+// Determine if `thing` implements the iteration protocol for `symbol`.
+// Unlike `isMethodAt()`, this works for primitive strings, including empty
+// ones. Returns boolean.
+function isIterableAt_(thing, symbol) {
+  return !!symbol && thing != null && typeof thing[symbol] === 'function';
+}
+
+
 // Determine if `thing` has a function at `key`.
 // Returns boolean.
 function isMethodAt(thing, key) {
@@ -112,6 +137,28 @@ function isMethodAt(thing, key) {
 export isMethodAt;
 
 
+// Internal helper that loads the Node module `name`, or returns `null` where
+// there is no `require` (e.g. browsers). Node modules are only loaded once a
+// feature that needs them is used, so that browsers and bundlers never go
+// looking for them.
+function requireNode_(name) {
+  return typeof require === 'function' ? require(name) : null;
+}
+
+
+// A function that does nothing. Used as the disposer for sources that have
+// nothing left to tear down.
+function noop() {}
+export noop;
+
+
+// Internal helper that calls a disposer. Used with `forEach` to dispose of
+// many sources at once.
+function callDisposer_(dispose) {
+  dispose();
+}
+
+
 // End is our token that represents the end of an accumulatable source.
 // `accumulatable`s can pass this token as the last item to denote they are
 // finished sending values. Accumulating `next` functions may also return `end`
@@ -121,37 +168,507 @@ var end = 'Token for end of accumulation';
 export end;
 
 
+// Internal constructor for error items. Use `error()` to create them, and
+// `isError()` to recognize them.
+function ErrorItem(reason) {
+  this.reason = reason;
+}
+
+
+// Wrap `reason` in an error item. Error items travel alongside ordinary
+// items, but on their own channel: transformations forward them untouched
+// rather than mapping, filtering or counting them. A source that fails can
+// send an error item, usually followed by `end`:
+//
+//     <1, 2, error(reason), end>
+//
+// Error items do not end a source by themselves. A single bad record can be
+// reported without tearing down the whole pipeline.
+function error(reason) {
+  return new ErrorItem(reason);
+}
+export error;
+
+
+// Determine if `thing` is an error item created with `error()`.
+// Returns boolean.
+function isError(thing) {
+  return thing instanceof ErrorItem;
+}
+export isError;
+
+
+// Internal constructor for reduced values. Use `reduced()` to create them,
+// and `isReduced()` to recognize them. Reduced values follow the
+// [transducer protocol](https://github.com/cognitect-labs/transducers-js#the-transducer-protocol),
+// so libraries like transducers-js and Ramda recognize them too.
+function Reduced(value) {
+  this.value = value;
+  this['@@transducer/value'] = value;
+}
+Reduced.prototype['@@transducer/reduced'] = true;
+
+
+// Wrap `value` to signal that a reduction is finished. `reduce` cannot be
+// stopped from the outside, so when `next` returns `end` during accumulation
+// of a reducible, `accumulate()` hands the reducible `reduced(end)` instead.
+// Custom `reduce` methods can check for it with `isReduced()` and stop early:
+//
+//     List.prototype.reduce = function (next, initial) {
+//       var accumulated = initial;
+//       for (var node = this.head; node; node = node.next) {
+//         accumulated = next(accumulated, node.value);
+//         if (isReduced(accumulated)) return accumulated;
+//       }
+//       return accumulated;
+//     };
+//
+// See Clojure's [reduced](http://clojuredocs.org/clojure_core/clojure.core/reduced).
+function reduced(value) {
+  return new Reduced(value);
+}
+export reduced;
+
+
+// Determine if `thing` was created with `reduced()`, or is a reduced value
+// from another library that follows the transducer protocol.
+// Returns boolean.
+function isReduced(thing) {
+  return thing instanceof Reduced ||
+    (thing != null && thing['@@transducer/reduced'] === true);
+}
+export isReduced;
+
+
+// Internal helper that unwraps a reduced value.
+function unreduced_(thing) {
+  return thing['@@transducer/value'];
+}
+
+
+// Internal constructor for pause tokens. A consumer that wants a break, like
+// `toAsyncIterator()` or `pipeTo()`, returns one from `next` in place of the
+// accumulated value. It travels back up through `map()`, `filter()` and
+// other transformations that return what `next` returns. Sources that
+// understand it, like arrays, iterators and `fromStream()`, stop sending
+// until it is resumed. Other sources carry on regardless.
+//
+// `wait(resume)` calls `resume` once the token is resumed.
+function Pause_() {
+  this.isPaused = true;
+  this.waiting = [];
+}
+
+Pause_.prototype.wait = function wait(resume) {
+  this.isPaused ? this.waiting.push(resume) : resume();
+};
+
+Pause_.prototype.resume = function resume() {
+  if (!this.isPaused) return;
+  this.isPaused = false;
+  this.waiting.splice(0).forEach(function callResume(resume) {
+    resume();
+  });
+};
+
+
+// Internal helper that determines if `thing` is a pause token that has not
+// been resumed yet.
+function isPaused_(thing) {
+  return thing instanceof Pause_ && thing.isPaused;
+}
+
+
 // Accumulate a source with a `next` reducer function and `initial` value.
 //
-// Accumulate does not return any value, meaning sources may yield values at
-// any turn of the event loop.
+// Accumulate returns a disposer function that stops the source, rather than
+// the accumulated value. Values arrive through `next`, over as many turns of
+// the event loop as the source takes.
 //
 // Any value type can be accumulated with `accumulate` function.
 // This means async sources, arrays and primitive values can all be mixed.
 function accumulate(source, next, initial) {
-  // If source is accumulatable, call accumulate method.
-  isMethodAt(source, 'accumulate') ?
-    source.accumulate(next, initial) :
-    // ...otherwise, if source has a reduce method, fall back to accumulation
-    // with reduce, then call `next` with `end` token and result of reduction.
-    // Reducible sources are expected to return a value for `reduce`.
-    isMethodAt(source, 'reduce') ?
-      next(source.reduce(next, initial), end) :
-      // ...otherwise, if source is nullish, end. `null` is considered to be
-      // an empty source (akin to an empty array). This approach takes
-      // inspiration from Lisp dialects, where `null` literally _is_ an empty
-      // list. It also just makes sense: `null` is a non-value, and should
-      // not accumulate.
-      source == null ?
-        next(initial, end) :
-        // Otherwise, call `next` with value, then `end`. I.e, values without
-        // a `reduce`/`accumulate` method are treated as sources containing
-        // one item.
-        next(next(initial, source), end);
+  // If source is accumulatable, call accumulate method. Accumulatables that
+  // don't return a disposer get `noop`.
+  if (isMethodAt(source, 'accumulate'))
+    return source.accumulate(next, initial) || noop;
+
+  // ...otherwise, if source is an array or array-like collection, step
+  // through it with a loop we can stop early. `reduce` can't be stopped, so
+  // taking 2 items from a million-item array would otherwise walk all
+  // million.
+  if (isArrayLike_(source)) return accumulateArrayLike_(source, next, initial);
+
+  // ...otherwise, if source is an async iterable (e.g. an async generator),
+  // pull items from its iterator over multiple turns.
+  if (isIterableAt_(source, symbolAsyncIterator))
+    return accumulateAsyncIterator_(source[symbolAsyncIterator](), next, initial);
+
+  // ...otherwise, if source is iterable (generators, Maps, Sets, strings),
+  // step through its iterator. This comes before `reduce`, because newer
+  // environments give iterators an `Iterator.prototype.reduce` that can't
+  // be stopped, which would walk infinite generators forever.
+  if (isIterableAt_(source, symbolIterator))
+    return accumulateIterator_(source[symbolIterator](), next, initial);
+
+  // ...otherwise, if source has a reduce method, fall back to accumulation
+  // with reduce, then call `next` with `end` token and result of reduction.
+  // Reducible sources are expected to return a value for `reduce`.
+  isMethodAt(source, 'reduce') ?
+    accumulateReducible_(source, next, initial) :
+    // ...otherwise, if source is nullish, end. `null` is considered to be
+    // an empty source (akin to an empty array). This approach takes
+    // inspiration from Lisp dialects, where `null` literally _is_ an empty
+    // list. It also just makes sense: `null` is a non-value, and should
+    // not accumulate.
+    source == null ?
+      next(initial, end) :
+      // Otherwise, call `next` with value, then `end`. I.e, values without
+      // a `reduce`/`accumulate` method are treated as sources containing
+      // one item.
+      next(next(initial, source), end);
+
+  // All other sources have been accumulated by now, so there is nothing
+  // left to dispose of.
+  return noop;
 }
 export accumulate;
 
 
+// Determine if `thing` is an array, typed array, or one of the array-like
+// collections `arguments`, `NodeList` and `HTMLCollection`. Other objects
+// with a `length` are not collections, and are accumulated as single items.
+// Returns boolean.
+function isArrayLike_(thing) {
+  if (Array.isArray(thing)) return true;
+
+  if (typeof ArrayBuffer !== 'undefined' && ArrayBuffer.isView(thing))
+    return typeof thing.length === 'number';
+
+  var type = Object.prototype.toString.call(thing);
+  return type === '[object Arguments]' ||
+    type === '[object NodeList]' ||
+    type === '[object HTMLCollection]';
+}
+
+
+// Internal helper for sources that produce their items synchronously, one
+// at a time. Sends each item returned by `step()` to `next`, until `step()`
+// returns `end`. Stops as soon as `next` returns `end`, and waits while it
+// returns a paused `Pause_` token. `stop()`, if given, is called when
+// accumulation stops before `step()` has run out. Returns a disposer.
+function accumulateSteps_(step, next, initial, stop) {
+  var isStopped = false;
+
+  function dispose() {
+    if (isStopped) return;
+    isStopped = true;
+    if (stop) stop();
+  }
+
+  function loop(accumulated) {
+    while (!isStopped) {
+      var item = step();
+      accumulated = next(accumulated, item);
+
+      if (item === end) {
+        isStopped = true;
+        return;
+      }
+
+      if (accumulated === end) return dispose();
+
+      if (isPaused_(accumulated)) {
+        var pause = accumulated;
+        return pause.wait(function resume() {
+          loop(pause);
+        });
+      }
+    }
+  }
+
+  loop(initial);
+
+  return dispose;
+}
+
+
+// Internal helper that accumulates an array-like `array` by index. Holes in
+// sparse arrays are skipped, like `reduce` skips them. Stops as soon as
+// `next` returns `end`. Returns a disposer.
+function accumulateArrayLike_(array, next, initial) {
+  var i = 0;
+
+  return accumulateSteps_(function stepArrayLike() {
+    while (i < array.length && !(i in array)) i++;
+    return i < array.length ? array[i++] : end;
+  }, next, initial);
+}
+
+
+// Internal helper that accumulates a reducible `source` by calling its
+// `reduce` method. When `next` returns `end`, the reducible is handed
+// `reduced(end)`. Reducibles that check `isReduced()` stop right away. For
+// those that don't, we skip calling `next` for the rest of the items.
+function accumulateReducible_(source, next, initial) {
+  var result = source.reduce(function nextReducible(accumulated, item) {
+    if (isReduced(accumulated)) return accumulated;
+    accumulated = next(accumulated, item);
+    return accumulated === end ? reduced(end) : accumulated;
+  }, initial);
+
+  if (!isReduced(result)) next(result, end);
+}
+
+
+// Internal helper that accumulates a synchronous `iterator`. Stops pulling
+// items as soon as `next` returns `end`. Exceptions thrown by the iterator
+// (e.g. by a generator) are sent as an error item, followed by `end`.
+// Returns a disposer.
+function accumulateIterator_(iterator, next, initial) {
+  var isDone = false;
+
+  return accumulateSteps_(function stepIterator() {
+    if (isDone) return end;
+
+    try {
+      var step = iterator.next();
+    }
+    catch (exception) {
+      isDone = true;
+      return error(exception);
+    }
+
+    if (!step.done) return step.value;
+
+    isDone = true;
+    return end;
+  }, next, initial, function stopIterator() {
+    // If consumer ended, give iterator a chance to clean up (e.g. run a
+    // generator's `finally` blocks).
+    if (!isDone && isMethodAt(iterator, 'return')) iterator.return();
+  });
+}
+
+
+// Internal helper that accumulates an async `iterator`, pulling one item at a
+// time. Stops pulling as soon as `next` returns `end`. A rejected pull is sent
+// as an error item, followed by `end`. Returns a disposer.
+function accumulateAsyncIterator_(iterator, next, initial) {
+  var accumulated = initial;
+  var isClosed = false;
+
+  function close() {
+    isClosed = true;
+    if (isMethodAt(iterator, 'return')) iterator.return();
+  }
+
+  function onStep(step) {
+    if (isClosed) return;
+    if (step.done) return next(accumulated, end);
+
+    accumulated = next(accumulated, step.value);
+
+    accumulated === end ? close() : pull();
+  }
+
+  function onError(reason) {
+    if (isClosed) return;
+    isClosed = true;
+    accumulated = next(accumulated, error(reason));
+    if (accumulated !== end) next(accumulated, end);
+  }
+
+  function pull() {
+    iterator.next().then(onStep, onError);
+  }
+
+  pull();
+
+  return function disposeAsyncIterator() {
+    if (!isClosed) close();
+  };
+}
+
+
+// Generating sources
+// ------------------
+//
+// Sources that are made from scratch, instead of from a collection. Many of
+// them are infinite. They send their items synchronously, and stop as soon as
+// `next` returns `end`, so `take()` and friends can safely cut them short:
+//
+//     take(iterate(double, 1), 5)
+//     >> <1, 2, 4, 8, 16, end>
+//
+// Beware of transformations that never return `end`, like `filter()` with a
+// predicate that is never true. An infinite synchronous source will spin
+// forever under them.
+
+
+// Make a source from `seed` with `f`. `f(seed)` returns an array of the next
+// item and the next seed, or `null` to end the source.
+//
+//     unfold(function (n) { return n < 3 ? [n * 10, n + 1] : null; }, 0)
+//     >> <0, 10, 20, end>
+//
+// An exception thrown by `f` is sent as an error item, then the source ends.
+function unfold(f, seed) {
+  return accumulatable(function accumulateUnfold(next, initial) {
+    var state = seed;
+    var isDone = false;
+
+    return accumulateSteps_(function stepUnfold() {
+      if (isDone) return end;
+
+      var step = tryCall_(f, state);
+
+      if (isError(step)) {
+        isDone = true;
+        return step;
+      }
+
+      if (step == null) return end;
+
+      state = step[1];
+      return step[0];
+    }, next, initial);
+  });
+}
+export unfold;
+
+
+// Returns a source of numbers from `start` up to, but not including, `stop`,
+// counting by `step`. `stop` defaults to `Infinity` and `step` to `1`. Count
+// down with a negative `step`. With a single argument, counts from `0` up to
+// that number.
+//
+//     range(3)
+//     >> <0, 1, 2, end>
+//
+//     range(10, 0, -5)
+//     >> <10, 5, end>
+function range(start, stop, step) {
+  if (arguments.length === 1) {
+    stop = start;
+    start = 0;
+  }
+
+  start = start || 0;
+  stop = stop == null ? Infinity : stop;
+  step = step || 1;
+
+  return unfold(function rangeStep(n) {
+    var isInRange = step > 0 ? n < stop : n > stop;
+    return isInRange ? [n, n + step] : null;
+  }, start);
+}
+export range;
+
+
+// Returns an infinite source of `seed`, `f(seed)`, `f(f(seed))`, etc.
+// `f` is only called once the previous item has been taken.
+//
+//     iterate(function (x) { return x * 2; }, 1)
+//     >> <1, 2, 4, 8, ...>
+//
+// An exception thrown by `f` is sent as an error item, then the source ends.
+function iterate(f, seed) {
+  return accumulatable(function accumulateIterate(next, initial) {
+    var x = seed;
+    var isStarted = false;
+    var isDone = false;
+
+    return accumulateSteps_(function stepIterate() {
+      if (isDone) return end;
+
+      if (!isStarted) {
+        isStarted = true;
+        return x;
+      }
+
+      x = tryCall_(f, x);
+      if (isError(x)) isDone = true;
+      return x;
+    }, next, initial);
+  });
+}
+export iterate;
+
+
+// Returns a source of `x`, `n` times. Repeats forever if there is no `n`.
+//
+//     repeat('a', 3)
+//     >> <'a', 'a', 'a', end>
+function repeat(x, n) {
+  n = n == null ? Infinity : n;
+
+  return unfold(function repeatStep(count) {
+    return count < n ? [x, count + 1] : null;
+  }, 0);
+}
+export repeat;
+
+
+// Returns an infinite source of the items of `source`, over and over. When
+// `source` ends, it is accumulated again. Asynchronous sources work too.
+//
+//     cycle([1, 2])
+//     >> <1, 2, 1, 2, ...>
+//
+// If `source` ends without sending anything, so does the cycle.
+function cycle(source) {
+  return accumulatable(function accumulateCycle(next, initial) {
+    var accumulated = initial;
+    var isStopped = false;
+    var dispose = noop;
+
+    // Accumulate `source` pass after pass. Synchronous passes loop here,
+    // rather than recursing, so the stack doesn't grow. Asynchronous passes
+    // call `run()` again when they end.
+    function run() {
+      while (!isStopped) {
+        var isPassing = true;
+        var isPassEnded = false;
+        var count = 0;
+
+        dispose = accumulate(source, function nextCycle(_, item) {
+          if (isStopped) return end;
+
+          if (item === end) {
+            isPassEnded = true;
+            if (!count) stop(true);
+            else if (!isPassing) run();
+            return end;
+          }
+
+          count = count + 1;
+          accumulated = next(accumulated, item);
+          if (accumulated === end) stop(false);
+          return accumulated;
+        }, null);
+
+        isPassing = false;
+        if (!isPassEnded) return;
+      }
+    }
+
+    function stop(isEnding) {
+      isStopped = true;
+      dispose();
+      if (isEnding) next(accumulated, end);
+    }
+
+    run();
+
+    return function disposeCycle() {
+      if (!isStopped) stop(false);
+    };
+  });
+}
+export cycle;
+
+
 // Transformations: map, filter, et al
 // -----------------------------------
 
@@ -177,19 +694,55 @@ export accumulate;
 // For example see `map` and `filter` functions.
 //
 // A riff on reducer in https://github.com/clojure/clojure/blob/master/src/clj/clojure/core/reducers.clj.
+//
+// Exceptions thrown by `xf` (for example by the mapping function given to
+// `map`) are caught and sent to `next` as an error item. Exceptions thrown
+// further downstream by `next` itself are left alone.
 function accumulator(xf) {
   function xformed(source, additional) {
     // Return a new accumulatable object who's accumulate method transforms the `next`
     // accumulating function.
-    return accumulatable(function accumulateXform(next, initial) {
+    var transformed = accumulatable(function accumulateXform(next, initial) {
+      // Flag that is only left raised if `next` threw. Used to tell exceptions
+      // thrown by `xf` apart from exceptions thrown downstream.
+      var isThrownByNext = false;
+
+      function forward(accumulated, item) {
+        isThrownByNext = true;
+        accumulated = next(accumulated, item);
+        isThrownByNext = false;
+        return accumulated;
+      }
+
       // `next` is the accumulating function we are transforming. 
-      accumulate(source, function nextSource(accumulated, item) {
+      return accumulate(source, function nextSource(accumulated, item) {
         // We are essentially wrapping next with `xf` provided the `item` is
-        // not `end`.
-        return item === end ? next(accumulated, item) :
-                              xf(additional, next, accumulated, item);
+        // not `end` or an error.
+        if (item === end || isError(item)) return next(accumulated, item);
+
+        try {
+          return xf(additional, forward, accumulated, item);
+        }
+        catch (exception) {
+          // Exceptions from downstream are not ours to handle.
+          if (isThrownByNext) {
+            isThrownByNext = false;
+            throw exception;
+          }
+
+          return next(accumulated, error(exception));
+        }
       }, initial);
     });
+
+    // Remember what we were made from, so that `fold()` can make us again
+    // over chunks of `source`. Kept non-enumerable, so it doesn't show up
+    // among the fields of the accumulatable.
+    Object.defineProperty(transformed, 'madeFrom_', {
+      value: { source: source, xf: xf, additional: additional }
+    });
+
+    return transformed;
   }
 
   return xformed;
@@ -250,21 +803,27 @@ function take(source, n) {
     // Capture `n`. We're about to mutate it.
     var count = n;
 
-    accumulate(source, function nextTake(accumulated, item) {
-      // Decrement count.
-      count = count - 1;
-
+    return accumulate(source, function nextTake(accumulated, item) {
       // For cases where take has ended source, but source is still sending
       // values, keep returning `end` token and bypass accumulation.
-      // Necessary for arrays. Most other sources should know to `end` when
-      // told to.
-      if (count < 0) return end;
+      // Arrays and reducibles stop when told to (see `accumulate()`), as
+      // should most other sources.
+      if (count < 1) return end;
+
+      // Forward `end` and error items. They don't count towards `n`.
+      if (item === end || isError(item)) return next(accumulated, item);
+
+      // Decrement count.
+      count = count - 1;
 
       // Accumulate with value.
       accumulated = next(accumulated, item);
 
       // Return accumulated value, or `end` source if we've reached the limit.
-      return count === 0 ? next(accumulated, end) : accumulated;
+      if (count > 0) return accumulated;
+
+      next(accumulated, end);
+      return end;
     }, initial);
   });
 }
@@ -286,10 +845,10 @@ function drop(source, n) {
     // Capture `n`. We're about to mutate it.
     var  count = n;
 
-    accumulate(source, function nextDrop(accumulated, item) {
+    return accumulate(source, function nextDrop(accumulated, item) {
       // If we've dropped enough items, or source is ended, call next with
-      // accumulation and item.
-      if (count === 0 || item === end) return next(accumulated, item);
+      // accumulation and item. Error items are never dropped.
+      if (count === 0 || item === end || isError(item)) return next(accumulated, item);
 
       count = count - 1;
 
@@ -301,6 +860,71 @@ function drop(source, n) {
 export drop;
 
 
+// Internal helper that calls `f` with `item`. Returns the result, or an error
+// item if `f` threw an exception.
+function tryCall_(f, item) {
+  try {
+    return f(item);
+  }
+  catch (exception) {
+    return error(exception);
+  }
+}
+
+
+// Returns a source of the items of `source` for as long as `predicate(item)`
+// is true. The source ends at the first item for which it is false.
+//
+//     takeWhile([1, 2, 3, 1], function (x) { return x < 3; })
+//     >> <1, 2, end>
+function takeWhile(source, predicate) {
+  return accumulatable(function accumulateTakeWhile(next, initial) {
+    var isTaking = true;
+
+    return accumulate(source, function nextTakeWhile(accumulated, item) {
+      // Keep ending sources that keep sending.
+      if (!isTaking) return end;
+
+      if (item === end || isError(item)) return next(accumulated, item);
+
+      var isTaken = tryCall_(predicate, item);
+      if (isError(isTaken)) return next(accumulated, isTaken);
+      if (isTaken) return next(accumulated, item);
+
+      isTaking = false;
+      next(accumulated, end);
+      return end;
+    }, initial);
+  });
+}
+export takeWhile;
+
+
+// Returns a source that skips the items of `source` for as long as
+// `predicate(item)` is true. Every item from the first for which it is false
+// on is kept.
+//
+//     dropWhile([1, 2, 3, 1], function (x) { return x < 3; })
+//     >> <3, 1, end>
+function dropWhile(source, predicate) {
+  return accumulatable(function accumulateDropWhile(next, initial) {
+    var isDropping = true;
+
+    return accumulate(source, function nextDropWhile(accumulated, item) {
+      if (!isDropping || item === end || isError(item)) return next(accumulated, item);
+
+      var isDropped = tryCall_(predicate, item);
+      if (isError(isDropped)) return next(accumulated, isDropped);
+      if (isDropped) return accumulated;
+
+      isDropping = false;
+      return next(accumulated, item);
+    }, initial);
+  });
+}
+export dropWhile;
+
+
 // Transform a source, reducing values from the source's `item`s using `xf`, a
 // reducer function. Returns a new source containing the reductions over time.
 function reductions(source, xf, initial) {
@@ -309,21 +933,72 @@ function reductions(source, xf, initial) {
   return accumulatable(function accumulateReductions(next, initial) {
     // Define a `next` function for accumulation.
     function nextReduction(accumulated, item) {
-      reduction = xf(reduction, item);
+      // Forward `end` and error items without reducing them.
+      if (item === end || isError(item)) return next(accumulated, item);
+
+      try {
+        reduction = xf(reduction, item);
+      }
+      catch (exception) {
+        return next(accumulated, error(exception));
+      }
 
-      return item === end ?
-        next(accumulated, end) :
-        // If item is not `end`, pass accumulated value to next along with
-        // reduction created by `xf`.
-        next(accumulated, reduction);
+      // Pass accumulated value to next along with reduction created by `xf`.
+      return next(accumulated, reduction);
     }
 
-    accumulate(source, nextReduction, initial);
+    return accumulate(source, nextReduction, initial);
   });
 }
 export reductions;
 
 
+// Recover from errors in `source`. When `source` sends an error item,
+// `f(reason)` is called and the source it returns is swapped in for the rest
+// of `source`. The original source is ended.
+//
+//     recover(request('x.json', 'GET'), function (reason) {
+//       return ['fallback'];
+//     })
+//
+// Items before the error are kept. If `source` ends without error, so does
+// the recovered source.
+function recover(source, f) {
+  return accumulatable(function accumulateRecover(next, initial) {
+    var isRecovered = false;
+    var disposeFallback = noop;
+
+    var disposeSource = accumulate(source, function nextRecover(accumulated, item) {
+      // Once we've swapped in the fallback, keep `end`ing the original source.
+      if (isRecovered) return end;
+
+      if (!isError(item)) return next(accumulated, item);
+
+      isRecovered = true;
+
+      // An exception thrown by `f` becomes the fallback source's only item.
+      var fallback;
+      try {
+        fallback = f(item.reason);
+      }
+      catch (exception) {
+        fallback = error(exception);
+      }
+
+      disposeFallback = accumulate(fallback, next, accumulated);
+
+      return end;
+    }, initial);
+
+    return function disposeRecover() {
+      disposeSource();
+      disposeFallback();
+    };
+  });
+}
+export recover;
+
+
 // Combining sources
 // -----------------
 
@@ -332,11 +1007,21 @@ export reductions;
 // first accumulate `left`, then `right`. Used by `concat`.
 function append(left, right) {
   return accumulatable(function accumulateAppend(next, initial) {
+    var disposeRight = noop;
+
     function nextLeft(accumulated, item) {
-      return item === end ? accumulate(right, next, accumulated) : next(accumulated, item);
+      if (item !== end) return next(accumulated, item);
+
+      disposeRight = accumulate(right, next, accumulated);
+      return accumulated;
     }
 
-    accumulate(left, nextLeft, initial);
+    var disposeLeft = accumulate(left, nextLeft, initial);
+
+    return function disposeAppend() {
+      disposeLeft();
+      disposeRight();
+    };
   });
 }
 export append;
@@ -349,13 +1034,23 @@ export append;
 //     >> <1, 2, 3, 'a', 'b', 'c', end>
 function concat(source) {
   return accumulatable(function accumulateConcat(next, initial) {
+    var disposeAppended = noop;
+
     function nextAppend(a, b) {
-      if(b === end) return accumulate(a, next, initial);
+      if(b === end) {
+        disposeAppended = accumulate(a, next, initial);
+        return a;
+      }
 
       return a === null ? b : append(a, b);
     }
 
-    accumulate(source, nextAppend, null);
+    var disposeSource = accumulate(source, nextAppend, null);
+
+    return function disposeConcat() {
+      disposeSource();
+      disposeAppended();
+    };
   });
 }
 export concat;
@@ -370,28 +1065,48 @@ function merge(source) {
   return accumulatable(function accumulateMerge(next, initial) {
     var accumulated = initial;
     var open = 1;
+    // Keep disposers for the source of sources and every nested source.
+    var disposers = [];
+
+    function disposeMerge() {
+      disposers.forEach(callDisposer_);
+    }
 
     function forward(_, item) {
+      // If consumer has ended, tell any source still sending to `end`.
+      if (accumulated === end) return end;
+
       if (item === end) {
         open = open - 1;
         if (open === 0) return next(accumulated, end);
       }
       else {
         accumulated = next(accumulated, item);
+        // If consumer ended, close all other open sources right away.
+        if (accumulated === end) disposeMerge();
       }
       return accumulated;
     }
 
-    accumulate(source, function nextMerge(_, nested) {
+    disposers.push(accumulate(source, function nextMerge(_, nested) {
+      // If consumer has ended, stop the source of sources too. It may not
+      // have a disposer in `disposers` yet, if it is still being opened.
+      if (accumulated === end) return end;
+
       // If we have reached the end of the sources, pass end token
-      // to `forward`.
-      if (nested === end) return forward(null, end);
+      // to `forward`. Error items are forwarded too, rather than opened.
+      if (nested === end || isError(nested)) return forward(null, nested);
 
       // If `nested` item is not end, accumulate it via `forward` and record
       // that we have opened another source.
       open = open + 1;
-      accumulate(nested, forward, null);
-    }, null);
+      disposers.push(accumulate(nested, forward, null));
+
+      // Opening `nested` may have ended the consumer.
+      return accumulated === end ? end : null;
+    }, null));
+
+    return disposeMerge;
   });
 }
 export merge;
@@ -418,100 +1133,2968 @@ function sample(source, triggers, assemble) {
     // which will return the value of the sampled item.
     assemble = assemble || id;
 
-    // Create closure variable to keep most recent sample.
+    // Create closure variables to keep most recent sample and accumulation.
+    // Both sources may send error items downstream, so accumulation is shared.
     var sampled;
+    var accumulated = initial;
+
+    function disposeSamples() {
+      disposeSource();
+      disposeTriggers();
+    }
 
     function nextSource(_, item) {
+      // Forward error items downstream.
+      if (isError(item)) accumulated = next(accumulated, item);
       // Assign most recent item to closure variable.
-      if(item !== end) sampled = item;
-    }
+      else if(item !== end) sampled = item;
 
-    function nextTrigger(accumulated, item) {
-      // Assemble sampled value with item and accumulate with `next()`.
-      return next(accumulated, assemble(sampled, item));
+      return accumulated;
     }
 
-    // Begin accumulation of both sources.
-    accumulate(source, nextSource);
-    accumulate(triggers, nextTrigger, initial);
-  });
-}
-export sample;
-
+    function nextTrigger(_, item) {
+      // Forward `end` and error items. Once triggers end, we no longer need
+      // samples, so close the source.
+      if (item === end) disposeSource();
+      if (item === end || isError(item)) return accumulated = next(accumulated, item);
+
+      // Assemble sampled value with item and accumulate with `next()`.
+      try {
+        item = assemble(sampled, item);
+      }
+      catch (exception) {
+        item = error(exception);
+      }
+
+      accumulated = next(accumulated, item);
+
+      // If consumer ended, close both sources.
+      if (accumulated === end) disposeSamples();
+
+      return accumulated;
+    }
+
+    // Begin accumulation of both sources. Disposers are no-ops until sources
+    // are opened.
+    var disposeSource = noop;
+    var disposeTriggers = noop;
+    disposeSource = accumulate(source, nextSource);
+    disposeTriggers = accumulate(triggers, nextTrigger);
+
+    return disposeSamples;
+  });
+}
+export sample;
+
+
+// Internal helper for transformations that accumulate many sources at once.
+// Returns a group object:
+//
+// * `group.open(source, next)` accumulates `source` and keeps its disposer.
+//   Returns a function that closes (disposes of) just that source.
+// * `group.dispose()` disposes of every source in the group.
+// * `group.isDisposed` is `true` once the group is disposed.
+//
+// Sources are let go of once they send `end`, or `next` returns `end`.
+// Sources opened after the group is disposed are disposed right away, or
+// never opened at all. This matters when a synchronous source finishes the
+// whole group while it is still being opened.
+function sourceGroup_() {
+  var group = { isDisposed: false };
+  var disposers = [];
+
+  group.open = function open(source, next) {
+    if (group.isDisposed) return noop;
+
+    var dispose = noop;
+    var isClosed = false;
+
+    function close() {
+      if (isClosed) return;
+      isClosed = true;
+      var i = disposers.indexOf(dispose);
+      if (i !== -1) disposers.splice(i, 1);
+      dispose();
+    }
+
+    dispose = accumulate(source, function nextGroup(accumulated, item) {
+      accumulated = next(accumulated, item);
+      if (item === end || accumulated === end) close();
+      return accumulated;
+    });
+
+    // Source may have been closed while it was being opened.
+    group.isDisposed || isClosed ? dispose() : disposers.push(dispose);
+
+    return close;
+  };
+
+  group.dispose = function dispose() {
+    group.isDisposed = true;
+    disposers.splice(0).forEach(callDisposer_);
+  };
+
+  return group;
+}
+
+
+// Internal helper for calling `assemble` with an array of `items` as
+// arguments, or returning the array if there is no `assemble`. Exceptions
+// become error items.
+function assembleItems_(assemble, items) {
+  if (!assemble) return items;
+
+  try {
+    return assemble.apply(null, items);
+  }
+  catch (exception) {
+    return error(exception);
+  }
+}
+
+
+// Internal helper that determines if an array is not empty.
+function isNotEmpty_(array) {
+  return array.length > 0;
+}
+
+
+// Internal helper that removes the first item of an array.
+function shift_(array) {
+  return array.shift();
+}
+
+
+// Zip an array of `sources` together, returning a source of arrays where the
+// first array contains the first item of each source, the second array the
+// second item of each, and so on.
+//
+//     zip([[1, 2, 3], ['a', 'b']])
+//     >> <[1, 'a'], [2, 'b'], end>
+//
+// Ends as soon as any source has ended and all its items have been zipped,
+// since no more arrays can be made. The other sources are disposed of.
+// Error items from any source are sent right away.
+function zip(sources) {
+  return accumulatable(function accumulateZip(next, initial) {
+    var accumulated = initial;
+    var group = sourceGroup_();
+    // Items waiting to be zipped, and whether each source has ended.
+    var buffers = sources.map(function () { return []; });
+    var isEnded = sources.map(function () { return false; });
+
+    function send(item) {
+      accumulated = next(accumulated, item);
+      if (accumulated === end) group.dispose();
+    }
+
+    function isExhausted(buffer, i) {
+      return isEnded[i] && buffer.length === 0;
+    }
+
+    function nextAt(i) {
+      return function nextZip(_, item) {
+        if (group.isDisposed) return end;
+
+        if (isError(item)) send(item);
+        else if (item === end) isEnded[i] = true;
+        else buffers[i].push(item);
+
+        while (!group.isDisposed && buffers.every(isNotEmpty_))
+          send(buffers.map(shift_));
+
+        if (!group.isDisposed && buffers.some(isExhausted)) {
+          group.dispose();
+          next(accumulated, end);
+        }
+
+        return group.isDisposed ? end : accumulated;
+      };
+    }
+
+    // Zipping no sources makes an empty source.
+    if (sources.length === 0) return accumulate(null, next, initial);
+
+    sources.forEach(function (source, i) {
+      group.open(source, nextAt(i));
+    });
+
+    return group.dispose;
+  });
+}
+export zip;
+
+
+// Combine the latest items of an array of `sources`. Every time any source
+// sends an item, `assemble` is called with the latest item of each source,
+// and the result is sent. If no `assemble` function is given, an array of
+// the latest items is sent.
+//
+//     combineLatest([on(a, 'input'), on(b, 'input')], function (x, y) { ... })
+//
+// Nothing is sent until every source has sent at least one item. Ends once
+// every source has ended, or as soon as a source ends without ever sending an
+// item, since nothing could ever be combined.
+function combineLatest(sources, assemble) {
+  return accumulatable(function accumulateCombineLatest(next, initial) {
+    var accumulated = initial;
+    var group = sourceGroup_();
+    var latest = [];
+    var hasItem = sources.map(function () { return false; });
+    var open = sources.length;
+
+    function nextAt(i) {
+      return function nextCombineLatest(_, item) {
+        if (group.isDisposed) return end;
+
+        if (item === end) {
+          open = open - 1;
+
+          if (open === 0 || !hasItem[i]) {
+            group.dispose();
+            next(accumulated, end);
+          }
+
+          return end;
+        }
+
+        if (!isError(item)) {
+          latest[i] = item;
+          hasItem[i] = true;
+          // Not every source has sent an item yet.
+          if (!hasItem.every(Boolean)) return accumulated;
+          item = assembleItems_(assemble, latest.slice());
+        }
+
+        accumulated = next(accumulated, item);
+        if (accumulated === end) group.dispose();
+        return accumulated;
+      };
+    }
+
+    if (sources.length === 0) return accumulate(null, next, initial);
+
+    sources.forEach(function (source, i) {
+      group.open(source, nextAt(i));
+    });
+
+    return group.dispose;
+  });
+}
+export combineLatest;
+
+
+// Combine every item of `source` with the latest items of an array of
+// `others`. `assemble` is called with the item, followed by the latest item
+// of each of the others. If no `assemble` function is given, an array is sent
+// instead.
+//
+//     withLatestFrom(on(button, 'click'), [on(input, 'input')])
+//
+// Items of `source` that arrive before every one of `others` has sent an item
+// are skipped. Ends when `source` ends. The others are disposed of then.
+function withLatestFrom(source, others, assemble) {
+  return accumulatable(function accumulateWithLatestFrom(next, initial) {
+    var accumulated = initial;
+    var group = sourceGroup_();
+    var latest = [];
+    var hasItem = others.map(function () { return false; });
+
+    function send(item) {
+      accumulated = next(accumulated, item);
+      if (accumulated === end) group.dispose();
+      return accumulated;
+    }
+
+    function nextAt(i) {
+      return function nextOther(_, item) {
+        if (group.isDisposed) return end;
+
+        if (isError(item)) return send(item);
+
+        // Others ending doesn't end us. We keep their latest item.
+        if (item === end) return end;
+
+        latest[i] = item;
+        hasItem[i] = true;
+        return accumulated;
+      };
+    }
+
+    others.forEach(function (other, i) {
+      group.open(other, nextAt(i));
+    });
+
+    group.open(source, function nextWithLatestFrom(_, item) {
+      if (group.isDisposed) return end;
+
+      if (item === end) {
+        group.dispose();
+        next(accumulated, end);
+        return end;
+      }
+
+      if (isError(item)) return send(item);
+
+      // Skip items until every one of the others has sent an item.
+      if (!hasItem.every(Boolean)) return accumulated;
+
+      return send(assembleItems_(assemble, [item].concat(latest)));
+    });
+
+    return group.dispose;
+  });
+}
+export withLatestFrom;
+
+
+// Race an array of `sources` against each other. The first source to send
+// anything (an item, an error, or `end`) wins, and the returned source
+// mirrors it. The losing sources are disposed of.
+//
+//     race([request('a.json', 'GET'), request('b.json', 'GET')])
+function race(sources) {
+  return accumulatable(function accumulateRace(next, initial) {
+    var winner = -1;
+    var disposers = [];
+
+    function disposeLosers() {
+      disposers.forEach(function (dispose, i) {
+        if (i !== winner) dispose();
+      });
+    }
+
+    function nextAt(i) {
+      return function nextRace(accumulated, item) {
+        if (winner === -1) {
+          winner = i;
+          disposeLosers();
+        }
+
+        return winner === i ? next(accumulated, item) : end;
+      };
+    }
+
+    if (sources.length === 0) return accumulate(null, next, initial);
+
+    // Stop opening sources as soon as there is a winner.
+    for (var i = 0; i < sources.length && winner === -1; i++)
+      disposers[i] = accumulate(sources[i], nextAt(i), initial);
+
+    return function disposeRace() {
+      disposers.forEach(callDisposer_);
+    };
+  });
+}
+export race;
+
+
+// Merge a 2D source of sources like `merge()`, but accumulate at most `n`
+// nested sources at once. Nested sources that arrive while `n` are open wait
+// their turn. Useful for limiting how many requests are in flight:
+//
+//     mergeLimit(map(urls, function (url) {
+//       return request(url, 'GET');
+//     }), 4)
+//
+// Ends once `source` and every nested source has ended. Throws a
+// `RangeError` if `n` is less than 1, since no nested source could ever be
+// opened.
+function mergeLimit(source, n) {
+  if (!(n >= 1)) throw new RangeError('mergeLimit() needs n of at least 1');
+
+  return accumulatable(function accumulateMergeLimit(next, initial) {
+    var accumulated = initial;
+    var group = sourceGroup_();
+    // Nested sources waiting for their turn.
+    var queue = [];
+    var open = 0;
+    var isSourceEnded = false;
+    var isDraining = false;
+
+    function send(item) {
+      accumulated = next(accumulated, item);
+      if (accumulated === end) group.dispose();
+      return accumulated;
+    }
+
+    // Open queued sources while there is room, then end if everything has
+    // ended. Nested sources that end synchronously make room while we are
+    // still draining, so drains loop here, rather than recursing, so the
+    // stack doesn't grow.
+    function drain() {
+      if (isDraining) return;
+      isDraining = true;
+
+      while (!group.isDisposed && queue.length && open < n) {
+        open = open + 1;
+        group.open(queue.shift(), nextNested);
+      }
+
+      isDraining = false;
+
+      if (!group.isDisposed && isSourceEnded && open === 0) {
+        group.dispose();
+        next(accumulated, end);
+      }
+    }
+
+    function nextNested(_, item) {
+      if (group.isDisposed) return end;
+      if (item !== end) return send(item);
+
+      open = open - 1;
+      drain();
+
+      return end;
+    }
+
+    group.open(source, function nextMergeLimit(_, nested) {
+      if (group.isDisposed) return end;
+
+      if (isError(nested)) return send(nested);
+
+      if (nested === end) isSourceEnded = true;
+      else queue.push(nested);
+
+      drain();
+
+      return nested === end ? end : accumulated;
+    });
+
+    return group.dispose;
+  });
+}
+export mergeLimit;
+
+
+// Map every item of `source` to a source with `f`, then concatenate the
+// results. Items are sent as they arrive, one nested source at a time, so
+// `source` may be infinite:
+//
+//     mapcat([1, 2], function (x) { return [x, x * 10]; })
+//     >> <1, 10, 2, 20, end>
+function mapcat(source, f) {
+  return mergeLimit(map(source, f), 1);
+}
+export mapcat;
+
+
+// Flatten a 2D source of sources, always switching to the latest nested
+// source. When a new nested source arrives, the previous one is disposed of.
+// Useful for typeahead, where only the latest request matters:
+//
+//     switchLatest(map(on(input, 'input'), function (event) {
+//       return request('search?q=' + event.target.value, 'GET');
+//     }))
+//
+// Ends once `source` and the latest nested source have ended.
+function switchLatest(source) {
+  return flattenOne_(source, true);
+}
+export switchLatest;
+
+
+// Flatten a 2D source of sources, ignoring new nested sources while one is
+// still open. The opposite of `switchLatest()`. Useful for ignoring repeated
+// clicks on a submit button until the request is done.
+//
+// Ends once `source` and the open nested source have ended.
+function exhaust(source) {
+  return flattenOne_(source, false);
+}
+export exhaust;
+
+
+// Returns a source of the items of `source` until `notifier` sends its first
+// item. Then the source ends, and both `source` and `notifier` are disposed
+// of. For example, a drag that ends on mouseup:
+//
+//     takeUntil(on(document, 'mousemove'), on(document, 'mouseup'))
+//
+// If `notifier` ends without sending an item, `source` is left to run. Error
+// items from either source are sent downstream.
+function takeUntil(source, notifier) {
+  return accumulatable(function accumulateTakeUntil(next, initial) {
+    var accumulated = initial;
+    var group = sourceGroup_();
+
+    function finish() {
+      group.dispose();
+      next(accumulated, end);
+    }
+
+    group.open(notifier, function nextNotifier(_, item) {
+      if (group.isDisposed) return end;
+      if (item === end) return;
+
+      // Error items from `notifier` are sent downstream, like those of
+      // `source`.
+      if (isError(item)) {
+        accumulated = next(accumulated, item);
+        if (accumulated === end) group.dispose();
+        return;
+      }
+
+      finish();
+      return end;
+    });
+
+    group.open(source, function nextTakeUntil(_, item) {
+      if (group.isDisposed) return end;
+
+      if (item === end) {
+        finish();
+        return end;
+      }
+
+      accumulated = next(accumulated, item);
+      if (accumulated === end) group.dispose();
+      return accumulated;
+    });
+
+    return group.dispose;
+  });
+}
+export takeUntil;
+
+
+// Returns a source that skips the items of `source` until `notifier` sends
+// its first item. Every item after that is kept, and `notifier` is disposed
+// of. The counterpart to `takeUntil()`.
+//
+// If `notifier` ends without sending an item, every item is skipped. Error
+// items from either source are sent downstream.
+function skipUntil(source, notifier) {
+  return accumulatable(function accumulateSkipUntil(next, initial) {
+    var accumulated = initial;
+    var isSkipping = true;
+    var group = sourceGroup_();
+
+    group.open(notifier, function nextNotifier(_, item) {
+      if (group.isDisposed) return end;
+      if (item === end) return;
+
+      // Error items from `notifier` are sent downstream, even while skipping.
+      if (isError(item)) {
+        accumulated = next(accumulated, item);
+        if (accumulated === end) group.dispose();
+        return;
+      }
+
+      isSkipping = false;
+      return end;
+    });
+
+    group.open(source, function nextSkipUntil(_, item) {
+      if (group.isDisposed) return end;
+      if (isSkipping && item !== end && !isError(item)) return accumulated;
+
+      accumulated = next(accumulated, item);
+      if (item === end || accumulated === end) group.dispose();
+      return accumulated;
+    });
+
+    return group.dispose;
+  });
+}
+export skipUntil;
+
+
+// Internal helper for `switchLatest()` and `exhaust()`, which accumulate one
+// nested source at a time. When a nested source arrives while another is
+// open, `isSwitching` decides whether to switch to it, or to ignore it.
+function flattenOne_(source, isSwitching) {
+  return accumulatable(function accumulateFlattenOne(next, initial) {
+    var accumulated = initial;
+    var group = sourceGroup_();
+    var isSourceEnded = false;
+    // Nested sources are counted, so that items from a nested source that
+    // was switched away from are recognized and ignored.
+    var count = 0;
+    var isNestedOpen = false;
+    var closeNested = noop;
+
+    function finish() {
+      group.dispose();
+      next(accumulated, end);
+    }
+
+    function nextNestedAt(id) {
+      return function nextNested(_, item) {
+        if (group.isDisposed || id !== count) return end;
+
+        if (item === end) {
+          isNestedOpen = false;
+          if (isSourceEnded) finish();
+          return end;
+        }
+
+        accumulated = next(accumulated, item);
+        if (accumulated === end) group.dispose();
+        return accumulated;
+      };
+    }
+
+    group.open(source, function nextFlattenOne(_, nested) {
+      if (group.isDisposed) return end;
+
+      if (isError(nested)) {
+        accumulated = next(accumulated, nested);
+        if (accumulated === end) group.dispose();
+        return accumulated;
+      }
+
+      if (nested === end) {
+        isSourceEnded = true;
+        if (!isNestedOpen) finish();
+        return end;
+      }
+
+      if (isNestedOpen && !isSwitching) return accumulated;
+
+      closeNested();
+      count = count + 1;
+      isNestedOpen = true;
+      closeNested = group.open(nested, nextNestedAt(count));
+
+      return accumulated;
+    });
+
+    return group.dispose;
+  });
+}
+
+
+// Scheduling
+// ----------
+//
+// Everything in this library that depends on time goes through a
+// _scheduler_. A scheduler is any object with 3 methods:
+//
+// * `now()` returns the current time in milliseconds.
+// * `delay(callback, ms)` calls `callback` after `ms` milliseconds.
+// * `frame(callback)` calls `callback` with the current time on the next
+//   animation frame.
+//
+// `delay` and `frame` return a function that cancels the callback, just like
+// disposers cancel sources.
+//
+// Time-based functions take an optional scheduler as their last argument,
+// falling back to `realTimeScheduler`, which uses real time. Tests can pass a
+// `virtualScheduler()` instead, and control time by hand.
+
+
+// The default scheduler, which uses real time. Backed by `Date.now`,
+// `setTimeout` and `requestAnimationFrame`.
+var realTimeScheduler = {
+  now: function now() {
+    return Date.now();
+  },
+
+  delay: function delay(callback, ms) {
+    var id = setTimeout(callback, ms);
+
+    return function cancelDelay() {
+      clearTimeout(id);
+    };
+  },
+
+  frame: function frame(callback) {
+    // Call back with `Date.now()` rather than the frame's timestamp, so frame
+    // times can be compared with `now()`.
+    var id = requestAnimationFrame(function onFrame() {
+      callback(Date.now());
+    });
+
+    return function cancelFrame() {
+      cancelAnimationFrame(id);
+    };
+  }
+};
+export realTimeScheduler;
+
+
+// Create a virtual-time scheduler. Time stands still until you move it
+// forward with `advance(ms)`, which runs any callbacks that come due, in
+// order. Useful for testing time-based sources quickly and reliably:
+//
+//     var clock = virtualScheduler();
+//     var x = record(debounce(source, 100, clock), clock);
+//     clock.advance(1000);
+//
+// Animation frames happen every `frameMs` milliseconds (16 by default).
+function virtualScheduler(frameMs) {
+  frameMs = frameMs || 16;
+
+  var v = {};
+  var time = 0;
+  // Callbacks waiting to run. `order` keeps callbacks that are due at the
+  // same time in the order they were scheduled.
+  var tasks = [];
+  var order = 0;
+
+  function schedule(callback, ms) {
+    var task = { time: time + Math.max(ms || 0, 0), order: order++, callback: callback };
+    tasks.push(task);
+
+    return function cancelTask() {
+      var i = tasks.indexOf(task);
+      if (i !== -1) tasks.splice(i, 1);
+    };
+  }
+
+  // Internal helper that finds the index of the task that is due first.
+  function indexOfNextTask() {
+    var index = -1;
+    for (var i = 0; i < tasks.length; i++) {
+      if (index === -1 ||
+          tasks[i].time < tasks[index].time ||
+          (tasks[i].time === tasks[index].time && tasks[i].order < tasks[index].order))
+        index = i;
+    }
+    return index;
+  }
+
+  v.now = function now() {
+    return time;
+  };
+
+  v.delay = schedule;
+
+  v.frame = function frame(callback) {
+    return schedule(function onVirtualFrame() {
+      callback(time);
+    }, frameMs);
+  };
+
+  // Move time forward by `ms` milliseconds, running callbacks as they come
+  // due. Callbacks may schedule more callbacks.
+  v.advance = function advance(ms) {
+    var until = time + ms;
+    var i = indexOfNextTask();
+
+    while (i !== -1 && tasks[i].time <= until) {
+      var task = tasks.splice(i, 1)[0];
+      time = task.time;
+      task.callback();
+      i = indexOfNextTask();
+    }
+
+    time = until;
+  };
+
+  return v;
+}
+export virtualScheduler;
+
+
+// Record the items of `source` as a timeline: an array of `[time, item]`
+// pairs, where `time` is measured from when recording started. `end` is
+// recorded too. The array is returned right away, and filled as items arrive.
+//
+//     var clock = virtualScheduler();
+//     var recorded = record(delay([1, 2], 10, clock), clock);
+//     clock.advance(100);
+//     recorded;
+//     > [[10, 1], [10, 2], [10, end]]
+function record(source, scheduler) {
+  scheduler = scheduler || realTimeScheduler;
+
+  var start = scheduler.now();
+  var timeline = [];
+
+  accumulate(source, function nextRecord(accumulated, item) {
+    timeline.push([scheduler.now() - start, item]);
+    return accumulated;
+  });
+
+  return timeline;
+}
+export record;
+
+
+// Create a source from a timeline: an array of `[time, item]` pairs. Each
+// item is sent `time` milliseconds after accumulation starts. Include `end`
+// in the timeline to end the source. Timelines made by `marbles()` and
+// `record()` both work.
+function fromTimeline(timeline, scheduler) {
+  scheduler = scheduler || realTimeScheduler;
+
+  return accumulatable(function accumulateTimeline(next, initial) {
+    var accumulated = initial;
+    var cancels = timeline.map(function (pair) {
+      return scheduler.delay(function nextTimeline() {
+        if (accumulated === end) return;
+        accumulated = next(accumulated, pair[1]);
+        if (accumulated === end || pair[1] === end) disposeTimeline();
+      }, pair[0]);
+    });
+
+    function disposeTimeline() {
+      accumulated = end;
+      cancels.forEach(callDisposer_);
+    }
+
+    return disposeTimeline;
+  });
+}
+export fromTimeline;
+
+
+// Describe a timeline with a marble diagram string. Every character is one
+// frame of `frameMs` milliseconds (10 by default):
+//
+// * `-` is a frame where nothing happens.
+// * `|` is `end`.
+// * `#` is an error item.
+// * Any other character is an item. If `values` has a key for the character,
+//   the item is `values[character]`, otherwise it is the character itself.
+// * Spaces are ignored, and can be used to line diagrams up.
+//
+// Returns a timeline: an array of `[time, item]` pairs. Use it to describe
+// sources with `fromTimeline()`, or to compare against `record()`:
+//
+//     marbles('-a-b|', { a: 1, b: 2 })
+//     > [[10, 1], [30, 2], [40, end]]
+function marbles(diagram, values, frameMs) {
+  values = values || {};
+  frameMs = frameMs || 10;
+
+  var timeline = [];
+  var frame = 0;
+
+  for (var i = 0; i < diagram.length; i++) {
+    var character = diagram.charAt(i);
+    var time = frame * frameMs;
+
+    if (character === ' ') continue;
+
+    if (character === '|') timeline.push([time, end]);
+    else if (character === '#') timeline.push([time, error(values['#'])]);
+    else if (character !== '-') timeline.push([time, values.hasOwnProperty(character) ? values[character] : character]);
+
+    frame = frame + 1;
+  }
+
+  return timeline;
+}
+export marbles;
+
+
+// Time
+// ----
+//
+// Transformations that are concerned with _when_ items happen, rather than
+// what they are. They are most useful with sources whose items appear over
+// time, like `on()` or `frames()`. Timers are cancelled as soon as the
+// consumer returns `end`, or the source is disposed.
+
+
+// Debounce `source`, sending an item only once `ms` milliseconds have passed
+// without another item. Useful for waiting until a user has stopped typing:
+//
+//     debounce(on(input, 'keyup'), 300)
+//
+// If `source` ends while an item is waiting, the item is sent before `end`.
+// Error items are sent right away.
+function debounce(source, ms, scheduler) {
+  scheduler = scheduler || realTimeScheduler;
+
+  return accumulatable(function accumulateDebounce(next, initial) {
+    var accumulated = initial;
+    var pending;
+    var cancel = null;
+    var disposeSource = noop;
+
+    function dispose() {
+      if (cancel) cancel();
+      disposeSource();
+    }
+
+    function send(item) {
+      accumulated = next(accumulated, item);
+      if (accumulated === end) dispose();
+      return accumulated;
+    }
+
+    function flush() {
+      cancel = null;
+      send(pending);
+    }
+
+    disposeSource = accumulate(source, function nextDebounce(_, item) {
+      if (accumulated === end) return end;
+
+      if (item === end) {
+        if (cancel) {
+          cancel();
+          flush();
+        }
+        if (accumulated !== end) next(accumulated, end);
+        return end;
+      }
+
+      if (isError(item)) return send(item);
+
+      // Item arrived before the wait was over. Start waiting again.
+      if (cancel) cancel();
+      pending = item;
+      cancel = scheduler.delay(flush, ms);
+
+      return accumulated;
+    });
+
+    return dispose;
+  });
+}
+export debounce;
+
+
+// Throttle `source`, sending at most one item every `ms` milliseconds. The
+// first item is sent right away. Items that arrive before `ms` have passed
+// are dropped. Useful for expensive work on busy sources:
+//
+//     throttle(on(window, 'scroll'), 100)
+function throttle(source, ms, scheduler) {
+  scheduler = scheduler || realTimeScheduler;
+
+  return accumulatable(function accumulateThrottle(next, initial) {
+    var cancel = null;
+
+    function open() {
+      cancel = null;
+    }
+
+    function stop() {
+      if (cancel) cancel();
+    }
+
+    var disposeSource = accumulate(source, function nextThrottle(accumulated, item) {
+      if (item === end) stop();
+
+      // Drop items while throttled. `end` and error items are never dropped.
+      if (cancel && item !== end && !isError(item)) return accumulated;
+
+      if (item !== end && !isError(item)) cancel = scheduler.delay(open, ms);
+
+      accumulated = next(accumulated, item);
+      if (accumulated === end) stop();
+      return accumulated;
+    }, initial);
+
+    return function disposeThrottle() {
+      stop();
+      disposeSource();
+    };
+  });
+}
+export throttle;
+
+
+// Delay every item of `source`, including `end`, by `ms` milliseconds. Items
+// keep their order.
+function delay(source, ms, scheduler) {
+  scheduler = scheduler || realTimeScheduler;
+
+  return accumulatable(function accumulateDelay(next, initial) {
+    var accumulated = initial;
+    // Cancel functions for items that have not been sent yet.
+    var cancels = [];
+    var disposeSource = noop;
+
+    function dispose() {
+      cancels.splice(0).forEach(callDisposer_);
+      disposeSource();
+    }
+
+    function schedule(item) {
+      var cancel = scheduler.delay(function sendDelayed() {
+        cancels.splice(cancels.indexOf(cancel), 1);
+        accumulated = next(accumulated, item);
+        if (accumulated === end) dispose();
+      }, ms);
+
+      cancels.push(cancel);
+    }
+
+    disposeSource = accumulate(source, function nextDelay(_, item) {
+      if (accumulated === end) return end;
+      schedule(item);
+      return accumulated;
+    });
+
+    return dispose;
+  });
+}
+export delay;
+
+
+// Create a source that counts up from 0 every `ms` milliseconds. Never ends
+// unless the consumer returns `end`.
+//
+//     interval(1000)
+//     > <0, 1, 2, 3, ...>
+function interval(ms, scheduler) {
+  scheduler = scheduler || realTimeScheduler;
+
+  return accumulatable(function accumulateInterval(next, initial) {
+    var accumulated = initial;
+    var count = 0;
+    var cancel;
+
+    function nextInterval() {
+      accumulated = next(accumulated, count);
+      count = count + 1;
+      if (accumulated !== end) cancel = scheduler.delay(nextInterval, ms);
+    }
+
+    cancel = scheduler.delay(nextInterval, ms);
+
+    return function disposeInterval() {
+      cancel();
+    };
+  });
+}
+export interval;
+
+
+// Create a source that sends a single item, `0`, after `ms` milliseconds,
+// followed by `end`.
+function timer(ms, scheduler) {
+  scheduler = scheduler || realTimeScheduler;
+
+  return accumulatable(function accumulateTimer(next, initial) {
+    return scheduler.delay(function nextTimer() {
+      var accumulated = next(initial, 0);
+      if (accumulated !== end) next(accumulated, end);
+    }, ms);
+  });
+}
+export timer;
+
+
+// Time out `source` if no item arrives for `ms` milliseconds, whether at the
+// start of the source or between items. When it times out, `source` is ended
+// and an error item is sent, followed by `end`. If a `fallback` source is
+// given, it is swapped in instead:
+//
+//     timeout(request('x.json', 'GET'), 5000, ['fallback'])
+//
+// `undefined` means no fallback, so pass it to get the error item along with
+// a `scheduler`. Pass `null` for an empty fallback, which ends quietly:
+//
+//     timeout(source, 5000, undefined, scheduler)
+//     >> <..., error, end>
+//     timeout(source, 5000, null)
+//     >> <..., end>
+function timeout(source, ms, fallback, scheduler) {
+  scheduler = scheduler || realTimeScheduler;
+
+  return accumulatable(function accumulateTimeout(next, initial) {
+    var accumulated = initial;
+    var isTimedOut = false;
+    var disposeSource = noop;
+    var disposeFallback = noop;
+    var cancel = null;
+
+    function dispose() {
+      if (cancel) cancel();
+      disposeSource();
+      disposeFallback();
+    }
+
+    function onTimeout() {
+      isTimedOut = true;
+      disposeSource();
+
+      if (fallback !== undefined) {
+        disposeFallback = accumulate(fallback, next, accumulated);
+      }
+      else {
+        accumulated = next(accumulated, error(new Error('Timed out after ' + ms + 'ms')));
+        if (accumulated !== end) next(accumulated, end);
+      }
+    }
+
+    cancel = scheduler.delay(onTimeout, ms);
+
+    disposeSource = accumulate(source, function nextTimeout(_, item) {
+      if (isTimedOut) return end;
+
+      cancel();
+      accumulated = next(accumulated, item);
+
+      // Wait for the next item, unless we're done.
+      if (item !== end && accumulated !== end) cancel = scheduler.delay(onTimeout, ms);
+
+      return accumulated;
+    });
+
+    return dispose;
+  });
+}
+export timeout;
+
+
+// Internal helper for `retry()` and `repeatWhen()`. Accumulates a fresh
+// source from `sourceFactory(count)`, where `count` is 1 for the first
+// source, 2 for the next, and so on. Each `end` or error item is handed to
+// `delayAfter(item, count)`, which returns how many milliseconds to wait
+// before accumulating the next fresh source, or `null` to send the item on as
+// usual. If `isEndingOnError` is true, an error item that is sent on is
+// followed by `end`.
+function rerun_(sourceFactory, delayAfter, isEndingOnError, scheduler) {
+  return accumulatable(function accumulateRerun(next, initial) {
+    var accumulated = initial;
+    var count = 0;
+    var isStopped = false;
+    var disposeSource = noop;
+    var cancelDelay = noop;
+
+    function stop() {
+      isStopped = true;
+      cancelDelay();
+      disposeSource();
+    }
+
+    function run() {
+      var isRunning = true;
+      cancelDelay = noop;
+      count = count + 1;
+
+      // A factory that throws fails just like a source would.
+      var source = tryCall_(sourceFactory, count);
+      if (isError(source)) source = [source];
+
+      disposeSource = accumulate(source, function nextRerun(_, item) {
+        if (isStopped || !isRunning) return end;
+
+        if (item === end || isError(item)) {
+          var ms = delayAfter(item, count);
+          if (ms != null) {
+            isRunning = false;
+            cancelDelay = scheduler.delay(run, ms);
+            return end;
+          }
+        }
+
+        accumulated = next(accumulated, item);
+
+        if (isEndingOnError && isError(item) && accumulated !== end) {
+          accumulated = next(accumulated, end);
+        }
+
+        if (item === end || accumulated === end || (isEndingOnError && isError(item))) {
+          stop();
+          return end;
+        }
+        return accumulated;
+      });
+
+      // Source may have been stopped while it was being opened.
+      if (isStopped || !isRunning) disposeSource();
+    }
+
+    run();
+
+    return function disposeRerun() {
+      if (!isStopped) stop();
+    };
+  });
+}
+
+
+// Accumulate a fresh source from `sourceFactory()` each time the previous one
+// sends an error item, waiting longer between each attempt. Items from every
+// attempt are sent on, and the first error item that isn't retried is sent,
+// followed by `end`.
+//
+//     retry(function () {
+//       return httpJSON('/flaky.json');
+//     }, { attempts: 5, backoff: 200 })
+//
+// `sourceFactory` is called with the number of the attempt, starting from 1.
+// `options`:
+//
+// * `attempts` is the most sources to try, including the first. Defaults to 3.
+// * `backoff` is the milliseconds to wait before the 2nd attempt. The wait
+//   doubles for each attempt after that. Defaults to 100.
+// * `jitter`, from 0 to 1, shortens each wait by up to that fraction, chosen
+//   at random, so that many clients don't retry in lockstep. Defaults to 0.
+// * `shouldRetry(reason, attempt)` decides if an error is worth retrying.
+//   Retries every error by default.
+//
+// A pending attempt is cancelled when the consumer returns `end`, or the
+// source is disposed.
+function retry(sourceFactory, options, scheduler) {
+  options = options || {};
+  scheduler = scheduler || realTimeScheduler;
+
+  var attempts = options.attempts == null ? 3 : options.attempts;
+  var backoff = options.backoff == null ? 100 : options.backoff;
+  var jitter = options.jitter || 0;
+  var shouldRetry = options.shouldRetry;
+
+  return rerun_(sourceFactory, function delayRetry(item, attempt) {
+    if (item === end || attempt >= attempts) return null;
+
+    // An exception thrown by `shouldRetry` counts as a no.
+    var isRetried = !shouldRetry || tryCall_(function (reason) {
+      return shouldRetry(reason, attempt);
+    }, item.reason);
+    if (!isRetried || isError(isRetried)) return null;
+
+    var ms = backoff * Math.pow(2, attempt - 1);
+    return ms - ms * jitter * Math.random();
+  }, true, scheduler);
+}
+export retry;
+
+
+// Accumulate a fresh source from `sourceFactory()` each time the previous one
+// ends. `delayFor(count)` is called with the number of sources that have
+// ended so far, and returns how many milliseconds to wait before the next,
+// or `null` to stop and end.
+//
+//     repeatWhen(makeSource, function (count) {
+//       return count < 3 ? 1000 * count : null;
+//     })
+//
+// Error items are sent on. A pending repeat is cancelled when the consumer
+// returns `end`, or the source is disposed.
+function repeatWhen(sourceFactory, delayFor, scheduler) {
+  scheduler = scheduler || realTimeScheduler;
+
+  return rerun_(sourceFactory, function delayRepeat(item, count) {
+    return item === end ? delayFor(count) : null;
+  }, false, scheduler);
+}
+export repeatWhen;
+
+
+// Poll: accumulate a fresh source from `sourceFactory()`, then another `ms`
+// milliseconds after each one ends, forever. Handy for endpoints that have to
+// be asked for news:
+//
+//     poll(function () { return httpJSON('/inbox.json'); }, 30000)
+function poll(sourceFactory, ms, scheduler) {
+  return repeatWhen(sourceFactory, function delayPoll() {
+    return ms;
+  }, scheduler);
+}
+export poll;
+
+
+// Batching
+// --------
+//
+// Transformations that collect items into batches. Like `reductions()` they
+// keep state between items, but they only send on the boundaries between
+// batches. Batches are sent as arrays, or, by the `window*` variants, as
+// sources of their own.
+//
+// Batches are never empty. A batch starts with its first item, and whatever
+// is left when `source` ends is sent before `end`. Error items skip batching,
+// and are sent right away.
+
+
+// Internal helper for the batching transforms. Collects the items of `source`
+// into batches that end after `n` items, `ms` milliseconds after their first
+// item, or when `keyOf(item)` changes. Any of the 3 may be `null`.
+//
+// When `isWindowing` is true, each batch is a `channel()` that is sent as soon
+// as it is opened, and closed when it ends. If the consumer ends while a
+// window is open, `source` is accumulated until that window is done.
+function batch_(source, isWindowing, n, ms, keyOf, scheduler) {
+  n = n == null ? Infinity : n;
+
+  return accumulatable(function accumulateBatch(next, initial) {
+    var accumulated = initial;
+    var batch = null;
+    var count = 0;
+    var key;
+    var isEnded = false;
+    var cancelFlush = noop;
+    var disposeSource = noop;
+
+    function isDone() {
+      return isEnded && !batch;
+    }
+
+    function send(item) {
+      accumulated = next(accumulated, item);
+      if (accumulated !== end) return;
+      isEnded = true;
+      // Arrays that were not sent yet have no one left to go to.
+      if (!isWindowing) close();
+    }
+
+    function close() {
+      cancelFlush();
+      cancelFlush = noop;
+      var closed = batch;
+      batch = null;
+      count = 0;
+      return closed;
+    }
+
+    function flush() {
+      var closed = close();
+      if (!closed) return;
+      if (isWindowing) closed.close();
+      else send(closed);
+    }
+
+    function flushByTime() {
+      flush();
+      if (isDone()) disposeSource();
+    }
+
+    function add(item) {
+      if (!batch) {
+        batch = isWindowing ? channel() : [];
+        if (ms != null) cancelFlush = scheduler.delay(flushByTime, ms);
+        if (isWindowing) send(batch);
+      }
+
+      if (isWindowing) batch.put(item);
+      else batch.push(item);
+
+      count = count + 1;
+      if (count >= n) flush();
+    }
+
+    disposeSource = accumulate(source, function nextBatch(_, item) {
+      if (isDone()) return end;
+
+      if (item === end) {
+        flush();
+        if (!isEnded) next(accumulated, end);
+        return end;
+      }
+
+      if (isError(item)) {
+        if (!isEnded) send(item);
+        return isDone() ? end : accumulated;
+      }
+
+      if (keyOf) {
+        var itemKey = tryCall_(keyOf, item);
+        if (isError(itemKey)) {
+          if (!isEnded) send(itemKey);
+          return isDone() ? end : accumulated;
+        }
+        if (batch && itemKey !== key) flush();
+        key = itemKey;
+      }
+
+      add(item);
+
+      // `accumulated` may be `end` while a window is still open, so don't
+      // hand it back to `source` until we are done. Pause tokens are handed
+      // back, so that `source` can wait for the consumer.
+      return isDone() ? end : isPaused_(accumulated) ? accumulated : null;
+    });
+
+    return function disposeBatch() {
+      close();
+      disposeSource();
+    };
+  });
+}
+
+
+// Collect the items of `source` into arrays of `n` items. The last array may
+// be shorter.
+//
+//     chunk([1, 2, 3, 4, 5], 2)
+//     >> <[1, 2], [3, 4], [5], end>
+function chunk(source, n) {
+  return batch_(source, false, n, null, null);
+}
+export chunk;
+
+
+// Collect the items of `source` into arrays of the items that arrive within
+// `ms` milliseconds of the first. Handy for batching UI events before sending
+// them somewhere with `request()`:
+//
+//     bufferTime(on(document, 'click'), 1000)
+function bufferTime(source, ms, scheduler) {
+  return batch_(source, false, null, ms, null, scheduler || realTimeScheduler);
+}
+export bufferTime;
+
+
+// Like `chunk()`, but an array is also sent once `ms` milliseconds have
+// passed since its first item, even if it has fewer than `n` items. Useful
+// for sending events in batches of bounded size, without holding on to them
+// for too long.
+function bufferCount(source, n, ms, scheduler) {
+  return batch_(source, false, n, ms, null, scheduler || realTimeScheduler);
+}
+export bufferCount;
+
+
+// Collect runs of consecutive items of `source` for which `f(item)` returns
+// the same value into arrays. A new array starts whenever the value changes.
+//
+//     partitionBy([1, 3, 2, 4, 5], function (x) { return x % 2; })
+//     >> <[1, 3], [2, 4], [5], end>
+//
+// Exceptions thrown by `f` are sent as error items, and the item is skipped.
+function partitionBy(source, f) {
+  return batch_(source, false, null, null, f);
+}
+export partitionBy;
+
+
+// Like `chunk()`, but sends a source of `n` items for each batch, instead of
+// an array. Each window is sent with its first item, and ends once it is
+// full. Windows buffer their items until they are accumulated.
+//
+//     mapcat(windowCount(source, 10), function (items) {
+//       return take(items, 1);
+//     })
+//
+// (Not called `window()`, so that it doesn't shadow the browser global.)
+function windowCount(source, n) {
+  return batch_(source, true, n, null, null);
+}
+export windowCount;
+
+
+// Like `bufferTime()`, but sends each batch as a source of its own.
+function windowTime(source, ms, scheduler) {
+  return batch_(source, true, null, ms, null, scheduler || realTimeScheduler);
+}
+export windowTime;
+
+
+// Like `partitionBy()`, but sends each run as a source of its own.
+function windowBy(source, f) {
+  return batch_(source, true, null, null, f);
+}
+export windowBy;
+
+
+// Split `source` into groups by key. Sends a `[key, group]` pair the first
+// time `keyOf(item)` returns a key. `group` is a `channel()` of the items
+// with that key, so it can be accumulated by many consumers. Items that
+// arrive before a group is accumulated are buffered for its first consumer.
+// Every group ends when `source` ends.
+//
+//     groupBy(messages, function (message) { return message.user; })
+//     >> <['ann', <...>], ['bob', <...>], end>
+//
+// Groups can be transformed one by one, then flattened back together with
+// `merge()` or `concat()`:
+//
+//     merge(map(groupBy(messages, getUser), function (pair) {
+//       return debounce(pair[1], 300);
+//     }))
+//
+// Exceptions thrown by `keyOf` are sent as error items, and the item is
+// skipped. If the consumer ends, groups that are already open keep getting
+// their items, and new keys are ignored. Once no group has consumers left,
+// `source` is disposed of, and the groups are ended. Items for a group
+// whose consumers have all ended are dropped, rather than buffered.
+function groupBy(source, keyOf) {
+  return accumulatable(function accumulateGroupBy(next, initial) {
+    var accumulated = initial;
+    var keys = [];
+    var groups = [];
+    // Whether each group has been accumulated yet.
+    var consumed = [];
+
+    function isGroupOpen(group) {
+      return group.isOpen;
+    }
+
+    function closeGroups() {
+      groups.splice(0).forEach(function closeGroup(group) {
+        group.close();
+      });
+    }
+
+    // Once the consumer has ended, `source` is only needed for as long as
+    // some group has consumers.
+    function isDone() {
+      return accumulated === end && !groups.some(isGroupOpen);
+    }
+
+    function send(item) {
+      if (accumulated === end) return;
+      accumulated = next(accumulated, item);
+
+      if (isDone()) {
+        closeGroups();
+        return end;
+      }
+    }
+
+    function makeGroup(i) {
+      var group = channel();
+      var accumulateChannel = group.accumulate;
+
+      group.accumulate = function accumulateGroup(next, initial) {
+        consumed[i] = true;
+        return accumulateChannel(next, initial);
+      };
+
+      return group;
+    }
+
+    return accumulate(source, function nextGroupBy(_, item) {
+      if (item === end) {
+        closeGroups();
+        send(end);
+        return end;
+      }
+
+      // Group consumers may have ended since the last item.
+      if (isDone()) {
+        closeGroups();
+        return end;
+      }
+
+      if (isError(item)) return send(item);
+
+      var key = tryCall_(keyOf, item);
+      if (isError(key)) return send(key);
+
+      var i = keys.indexOf(key);
+      if (i !== -1) {
+        if (!consumed[i] || groups[i].isOpen) groups[i].put(item);
+        return;
+      }
+
+      if (accumulated === end) return;
+
+      var group = makeGroup(keys.length);
+      keys.push(key);
+      groups.push(group);
+      consumed.push(false);
+      group.put(item);
+      return send([key, group]);
+    });
+  });
+}
+export groupBy;
+
+
+// Transducers
+// -----------
+//
+// [Transducers](http://clojure.org/reference/transducers) are the cousins of
+// `accumulator()` found in transducers-js, Ramda and friends. A transducer is
+// a function from one transformer to another, where a transformer is an
+// object with 3 methods:
+//
+// * `@@transducer/init()` returns an initial value.
+// * `@@transducer/step(accumulated, item)` is a reducer. It returns
+//   `reduced(accumulated)` to stop early. This is our `end`.
+// * `@@transducer/result(accumulated)` is called once there are no more
+//   items. This is our end of source.
+//
+// `transduce()` applies any transducer to a source, and `transducers` offers
+// our own transformations as transducers.
+
+
+// Transform `source` with `xform`, a transducer that follows the transducer
+// protocol.
+//
+//     transduce(on(input, 'keyup'), t.comp(t.map(getValue), t.dedupe()))
+//
+// Exceptions thrown by the transducer are sent as error items. Error items
+// from `source` skip the transducer.
+function transduce(source, xform) {
+  return accumulatable(function accumulateTransduce(next, initial) {
+    var isEnded = false;
+    // Flag that is only left raised if `next` threw. See `accumulator()`.
+    var isThrownByNext = false;
+
+    function forward(accumulated, item) {
+      isThrownByNext = true;
+      accumulated = next(accumulated, item);
+      isThrownByNext = false;
+      if (accumulated === end) isEnded = true;
+      return accumulated;
+    }
+
+    var xf = xform({
+      '@@transducer/init': function init() {
+        return initial;
+      },
+      '@@transducer/step': function step(accumulated, item) {
+        accumulated = forward(accumulated, item);
+        return accumulated === end ? reduced(end) : accumulated;
+      },
+      '@@transducer/result': function result(accumulated) {
+        return accumulated;
+      }
+    });
+
+    // Call `xf` method `key`, turning exceptions it throws into error items.
+    function call(key, accumulated, item) {
+      try {
+        return xf[key](accumulated, item);
+      }
+      catch (exception) {
+        if (isThrownByNext) {
+          isThrownByNext = false;
+          throw exception;
+        }
+
+        return forward(accumulated, error(exception));
+      }
+    }
+
+    function complete(accumulated) {
+      accumulated = call('@@transducer/result', accumulated);
+      if (!isEnded) forward(accumulated, end);
+      return end;
+    }
+
+    return accumulate(source, function nextTransduce(accumulated, item) {
+      if (isEnded) return end;
+      if (item === end) return complete(accumulated);
+      if (isError(item)) return forward(accumulated, item);
+
+      var result = call('@@transducer/step', accumulated, item);
+      if (isEnded) return end;
+      return isReduced(result) ? complete(unreduced_(result)) : result;
+    }, initial);
+  });
+}
+export transduce;
+
+
+// Internal helper that makes a transducer factory from `transform`, one of
+// our functions that take a source and some arguments, and return a new
+// source. The transducer pushes items through `transform` one at a time.
+function transducerOf_(transform) {
+  return function makeTransducer() {
+    var args = [];
+    for (var i = 0; i < arguments.length; i++) args.push(arguments[i]);
+
+    return function transducer(xf) {
+      var push = null;
+      // Not every transform threads `accumulated` through, so we keep track
+      // of it here.
+      var current;
+      // Set to a reduced value once `transform` or `xf` is done.
+      var stopped = null;
+
+      var pushed = accumulatable(function accumulatePushed(next) {
+        push = next;
+        return noop;
+      });
+
+      accumulate(transform.apply(null, [pushed].concat(args)), function nextStep(_, item) {
+        if (item === end) {
+          stopped = stopped || reduced(current);
+          return end;
+        }
+
+        // Other libraries expect exceptions, not error items.
+        if (isError(item)) throw item.reason;
+
+        var result = xf['@@transducer/step'](current, item);
+        if (isReduced(result)) {
+          stopped = result;
+          return end;
+        }
+
+        current = result;
+        return current;
+      });
+
+      return {
+        '@@transducer/init': function init() {
+          return xf['@@transducer/init']();
+        },
+        '@@transducer/step': function step(accumulated, item) {
+          if (stopped) return stopped;
+          current = accumulated;
+          push(current, item);
+          return stopped || current;
+        },
+        '@@transducer/result': function result(accumulated) {
+          // Let `transform` flush what it is holding on to.
+          if (!stopped) {
+            current = accumulated;
+            push(current, end);
+          }
+          return xf['@@transducer/result'](stopped ? unreduced_(stopped) : current);
+        }
+      };
+    };
+  };
+}
+
+
+// Our transformations as transducers, for use with transducers-js, Ramda, or
+// `transduce()`. They take the same arguments as their namesakes, minus the
+// source:
+//
+//     var xform = t.comp(transducers.filter(isEven), transducers.take(10));
+//     t.into([], xform, numbers);
+var transducers = {
+  map: transducerOf_(map),
+  filter: transducerOf_(filter),
+  reject: transducerOf_(reject),
+  take: transducerOf_(take),
+  drop: transducerOf_(drop),
+  takeWhile: transducerOf_(takeWhile),
+  dropWhile: transducerOf_(dropWhile),
+  reductions: transducerOf_(reductions),
+  chunk: transducerOf_(chunk),
+  partitionBy: transducerOf_(partitionBy)
+};
+export transducers;
+
+
+// Parsing
+// -------
+//
+// Text arrives in chunks that split lines and records wherever they like,
+// from `http()`, `fromStream()` and friends. These transformations put the
+// pieces back together. Chunks can be strings, or bytes (like `Uint8Array`
+// or Node `Buffer`s), which are decoded as UTF-8.
+//
+// Records that can't be parsed are sent as error items, so one bad record
+// doesn't end the rest.
+
+
+// Internal helper that turns a source of text chunks, as strings or bytes,
+// into a source of strings. Characters split between chunks of bytes are
+// decoded whole. A chunk that can't be decoded (e.g. a number) is sent as an
+// error item, followed by `end`.
+function decodeText_(source) {
+  return accumulatable(function accumulateDecodeText(next, initial) {
+    var decoder = null;
+    var isFailed = false;
+
+    return accumulate(source, function nextDecodeText(accumulated, item) {
+      if (isFailed) return end;
+      if (isError(item)) return next(accumulated, item);
+
+      if (item === end) {
+        var rest = decoder ? decoder.decode() : '';
+        if (rest) accumulated = next(accumulated, rest);
+        return accumulated === end ? end : next(accumulated, end);
+      }
+
+      if (typeof item === 'string') return next(accumulated, item);
+
+      decoder = decoder || new TextDecoder();
+
+      try {
+        var text = decoder.decode(item, { stream: true });
+      }
+      catch (exception) {
+        isFailed = true;
+        accumulated = next(accumulated, error(exception));
+        if (accumulated !== end) next(accumulated, end);
+        return end;
+      }
+
+      return next(accumulated, text);
+    }, initial);
+  });
+}
+
+
+// Internal helper that removes the `\r` of a `\r\n` line break.
+function trimCR_(line) {
+  return line.charAt(line.length - 1) === '\r' ? line.slice(0, -1) : line;
+}
+
+
+// Re-chunk the text of `source` into lines, without their line breaks. Both
+// `\n` and `\r\n` line breaks are understood. A last line without a line
+// break is sent at `end`.
+//
+//     lines(['a\nb', 'c\r\n', 'd'])
+//     >> <'a', 'bc', 'd', end>
+function lines(source) {
+  return accumulatable(function accumulateLines(next, initial) {
+    var partial = '';
+
+    return accumulate(decodeText_(source), function nextLines(accumulated, item) {
+      if (isError(item)) return next(accumulated, item);
+
+      if (item === end) {
+        if (partial) accumulated = next(accumulated, trimCR_(partial));
+        partial = '';
+        return accumulated === end ? end : next(accumulated, end);
+      }
+
+      var parts = (partial + item).split('\n');
+      partial = parts.pop();
+
+      for (var i = 0; i < parts.length && accumulated !== end; i++) {
+        accumulated = next(accumulated, trimCR_(parts[i]));
+      }
+
+      return accumulated;
+    }, initial);
+  });
+}
+export lines;
+
+
+// Internal helper that determines if `line` is only whitespace.
+function isBlank_(line) {
+  return /^\s*$/.test(line);
+}
+
+
+// Parse [newline delimited JSON](http://ndjson.org/): one JSON value per
+// line. Blank lines are skipped, and lines that aren't JSON are sent as error
+// items.
+//
+//     ndjson(fromStream(fs.createReadStream('events.ndjson')))
+//     >> <{...}, {...}, ..., end>
+function ndjson(source) {
+  return map(reject(lines(source), isBlank_), JSON.parse);
+}
+export ndjson;
+
+
+// Parse comma separated values, as described by
+// [RFC 4180](https://tools.ietf.org/html/rfc4180). Sends each record as an
+// array of strings. Fields may be quoted, with `""` for a quote, and quoted
+// fields may hold commas and line breaks, even across chunks. Blank lines
+// are skipped.
+//
+//     csv(['a,"b ""c"""\r\n', '1,"2\n3"\r\n'])
+//     >> <['a', 'b "c"'], ['1', '2\n3'], end>
+//
+// If `options.header` is true, the first record names the fields, and the
+// records that follow are sent as objects, keyed by name:
+//
+//     csv(['name,age\n', 'ann,41\n'], { header: true })
+//     >> <{ name: 'ann', age: '41' }, end>
+//
+// Malformed records, such as ones with a stray quote, or a different number
+// of fields than the header, are sent as error items. Their reason is a
+// `SyntaxError`. Parsing picks up again at the next line.
+function csv(source, options) {
+  var hasHeader = !!(options && options.header);
+
+  return accumulatable(function accumulateCsv(next, initial) {
+    var accumulated = initial;
+    var header = null;
+    var record = [];
+    var field = '';
+    // Number of the record being parsed, for error messages.
+    var count = 1;
+    // One of `'start'` (of a field), `'unquoted'`, `'quoted'`, `'quote'` (a
+    // quote inside a quoted field, which either closes it, or is doubled),
+    // or `'malformed'` (skipping to the next line).
+    var state = 'start';
+    var problem = null;
+    var isAfterCR = false;
+
+    function send(item) {
+      accumulated = next(accumulated, item);
+    }
+
+    function fail(message) {
+      state = 'malformed';
+      problem = message;
+    }
+
+    function reset() {
+      record = [];
+      field = '';
+      state = 'start';
+      problem = null;
+    }
+
+    function endField() {
+      record.push(field);
+      field = '';
+      state = 'start';
+    }
+
+    function endRecord() {
+      // Blank lines hold no record.
+      if (state === 'start' && !record.length) return;
+
+      var number = count;
+      count = count + 1;
+
+      if (state === 'malformed') {
+        send(error(new SyntaxError('CSV record ' + number + ': ' + problem)));
+        return reset();
+      }
+
+      endField();
+      var fields = record;
+      reset();
+
+      if (!hasHeader) return send(fields);
+
+      if (!header) {
+        header = fields;
+        return;
+      }
+
+      if (fields.length !== header.length) {
+        return send(error(new SyntaxError('CSV record ' + number + ': expected ' +
+          header.length + ' fields, found ' + fields.length)));
+      }
+
+      var object = {};
+      for (var i = 0; i < header.length; i++) object[header[i]] = fields[i];
+      send(object);
+    }
+
+    function parse(c) {
+      // The `\n` of a `\r\n` line break.
+      if (isAfterCR) {
+        isAfterCR = false;
+        if (c === '\n') return;
+      }
+
+      if ((c === '\r' || c === '\n') && state !== 'quoted') {
+        isAfterCR = c === '\r';
+        return endRecord();
+      }
+
+      if (state === 'malformed') return;
+
+      if (state === 'quoted') {
+        if (c === '"') state = 'quote';
+        else field = field + c;
+      }
+      else if (state === 'quote') {
+        if (c === '"') {
+          field = field + c;
+          state = 'quoted';
+        }
+        else if (c === ',') endField();
+        else fail('expected "," after closing quote, found ' + JSON.stringify(c));
+      }
+      else if (c === ',') endField();
+      else if (c === '"') {
+        if (state === 'start') state = 'quoted';
+        else fail('unexpected quote in unquoted field');
+      }
+      else {
+        field = field + c;
+        state = 'unquoted';
+      }
+    }
+
+    return accumulate(decodeText_(source), function nextCsv(_, item) {
+      if (isError(item)) {
+        send(item);
+        return accumulated;
+      }
+
+      if (item === end) {
+        if (state === 'quoted') fail('unterminated quoted field');
+        endRecord();
+        if (accumulated !== end) send(end);
+        return end;
+      }
+
+      for (var i = 0; i < item.length && accumulated !== end; i++) parse(item.charAt(i));
+
+      return accumulated;
+    });
+  });
+}
+export csv;
+
 
 // Other helpers
 // -------------
 
 
-// Internal helper function that mutates a consumer object.
-// Used in `hub()` (see below).
-function dispatchToConsumer_(item, consumer) {
-  // If consumer has not ended of its own accord, accumulate with
-  // latest item.
-  if (consumer.accumulated !== end)
-    consumer.accumulated = consumer.next(consumer.accumulated, item);
+// Internal helper function that mutates a consumer object.
+// Used in `hub()` (see below).
+function dispatchToConsumer_(item, consumer) {
+  // If consumer has not ended of its own accord, accumulate with
+  // latest item.
+  if (consumer.accumulated !== end)
+    consumer.accumulated = consumer.next(consumer.accumulated, item);
+
+  return item;
+}
+
+
+// Internal helper for filtering out consumers that have ended.
+// Used in `hub()` (see below).
+function isConsumerOpen_(consumer) {
+  return consumer.accumulated !== end;
+}
+
+
+// Some sources, like event streams, can only be accumulated once. Events in
+// the source happen, but no reference is kept in memory by the source. `hub()`
+// allows you to transform a source of this type so it can be accumulated
+// multiple times. It does this by keeping a list of consumers and dispatching
+// items in source to each of them. Usage:
+//
+//     hub(accumulatable(function (next, initial) { ... }))
+//
+// Hubs are reference-counted. The source is opened when the first consumer
+// arrives, and closed (ended and disposed) once every consumer has either
+// returned `end` or been disposed. If a new consumer arrives after that, the
+// source is opened again.
+//
+// Well-behaved sources stop sending items once they are ended. Pass `isStrict`
+// to have the hub throw an exception when a source keeps sending items after
+// it has been ended. Otherwise those items are quietly ignored.
+function hub(source, isStrict) {
+  // Create hub object.
+  var h = {};
+  // Create array to keep track of consumers.
+  h.consumers = [];
+  h.isOpen = false;
+  h.closeSource = noop;
+
+  function open() {
+    // Each opening of the source has its own `isEnded` flag, so that a source
+    // sending items after being ended is caught, even if the hub has been
+    // reopened since.
+    var isEnded = false;
+    var disposeSource = noop;
+
+    function close() {
+      isEnded = true;
+      h.isOpen = false;
+      disposeSource();
+    }
+
+    function nextDispatch(_, item) {
+      if (isEnded) {
+        if (isStrict) throw new Error('Hub source sent item after being ended');
+        return end;
+      }
+
+      // When item comes from source, dispatch it to all consumers. Dispatch
+      // over a copy, since consumers may be disposed during dispatch.
+      h.consumers.slice().reduce(dispatchToConsumer_, item);
+
+      // Forget about consumers who have ended.
+      h.consumers = h.consumers.filter(isConsumerOpen_);
+
+      // If item is end token, empty all consumers from array. We're done.
+      if (item === end) {
+        h.consumers = [];
+        close();
+        return end;
+      }
+
+      // If every consumer has ended, end the source.
+      if (h.consumers.length === 0) {
+        close();
+        return end;
+      }
+
+      // If any consumer asked for a pause, hand its token back, so that the
+      // source keeps pace with the slowest consumer.
+      for (var i = 0; i < h.consumers.length; i++) {
+        if (isPaused_(h.consumers[i].accumulated)) return h.consumers[i].accumulated;
+      }
+    }
+
+    // Mark hub open.
+    h.isOpen = true;
+    h.closeSource = close;
+
+    // Begin accumulation of source. If the source was ended while it was
+    // being opened, dispose of it right away.
+    disposeSource = accumulate(source, nextDispatch);
+    if (isEnded) disposeSource();
+  }
+
+  return accumulatable(function accumulateHub(next, initial) {
+    // Add consumer to hub.
+    var consumer = { next: next, accumulated: initial };
+    h.consumers.push(consumer);
+
+    // Disposing of a consumer removes it from the hub. Marking it ended
+    // also skips it if we're in the middle of a dispatch. Once the last
+    // consumer is disposed, the source is closed.
+    function disposeConsumer() {
+      consumer.accumulated = end;
+      h.consumers = h.consumers.filter(isConsumerOpen_);
+      if (h.consumers.length === 0 && h.isOpen) h.closeSource();
+    }
+
+    // If hub is not already open, open it.
+    if (!h.isOpen) open();
+
+    return disposeConsumer;
+  }, h);
+}
+export hub;
+
+
+// Internal helper for `replay()` and `latest()`. Returns a hub of `source` that
+// remembers up to `n` of the most recent items in the `history` array, and
+// replays them to every new consumer before any live items.
+function replayHub_(source, n, history) {
+  // Once the source has ended, consumers get the history, followed by `end`.
+  var isEnded = false;
+  // What history starts out as (e.g. the initial value of `latest()`).
+  var seed = history.slice();
+
+  var recorded = hub(accumulatable(function accumulateRecord(next, initial) {
+    return accumulate(source, function nextRecord(accumulated, item) {
+      if (item === end) {
+        isEnded = true;
+      }
+      else {
+        history.push(item);
+        if (history.length > n) history.shift();
+      }
+
+      return next(accumulated, item);
+    }, initial);
+  }));
+
+  return accumulatable(function accumulateReplay(next, initial) {
+    var accumulated = initial;
+
+    // If every consumer ended before the source did, the source was closed,
+    // and will be run again from the start. Forget what the last run sent,
+    // so it isn't replayed ahead of the new run.
+    if (!isEnded && !recorded.isOpen) history = seed.slice();
+
+    // Copy history, since consumers may cause more items to be recorded
+    // while we replay it.
+    var replayed = history.slice();
+
+    for (var i = 0; i < replayed.length; i++) {
+      accumulated = next(accumulated, replayed[i]);
+      // If consumer ended during the replay, there is nothing to dispose of.
+      if (accumulated === end) return noop;
+    }
+
+    if (isEnded) {
+      next(accumulated, end);
+      return noop;
+    }
+
+    return accumulate(recorded, next, accumulated);
+  });
+}
+
+
+// A `hub()` that replays items to late consumers. Consumers that arrive after
+// items have gone by are first sent the last `n` items, then any items that
+// follow. If `n` is not given, every item is replayed. If the source has
+// already ended, late consumers are sent the replayed items, then `end`.
+// If every consumer ends before the source does, the source is closed, and
+// the next consumer starts it over, with nothing to replay.
+//
+//     var response = replay(request('x.json', 'GET'));
+//     accumulate(response, ...);
+//     // Later...
+//     accumulate(response, ...);
+//     > <httpStatusCode, headers, body, end>
+function replay(source, n) {
+  return replayHub_(source, n == null ? Infinity : n, []);
+}
+export replay;
+
+
+// A `hub()` that always holds a current value. New consumers are first sent
+// the latest item from `source`, then any items that follow. Useful for
+// sharing state, like the latest value of a form field, between views.
+//
+// An optional `initial` value is sent to consumers that arrive before the
+// source has sent anything.
+//
+//     var width = latest(map(on(window, 'resize'), getWidth), getWidth());
+function latest(source, initial) {
+  return replayHub_(source, 1, arguments.length > 1 ? [initial] : []);
+}
+export latest;
+
+
+// Create a channel: a source you can write to. Channels are the bridge between
+// imperative, callback-style code and accumulatables. A channel is a `hub()`,
+// so it can be accumulated by many consumers, and has 3 extra methods:
+//
+// * `put(item)` sends an item to consumers.
+// * `close()` ends the channel.
+// * `error(reason)` sends an error item.
+//
+// Usage:
+//
+//     var clicks = channel();
+//     button.onclick = function (event) { clicks.put(event); };
+//     accumulate(clicks, ...);
+//
+// Items put while no one is listening are buffered, then sent to the next
+// consumer to arrive. `size` limits the buffer (unbounded by default), and
+// `policy` decides what happens when it is full:
+//
+// * `'fixed'` (default) throws an exception from `put()`.
+// * `'dropping'` drops the item being put.
+// * `'sliding'` drops the oldest buffered item to make room.
+//
+// `put()` returns `true` if the item was sent or buffered, and `false` if it
+// was dropped or the channel is closed.
+function channel(size, policy) {
+  size = size == null ? Infinity : size;
+  policy = policy || 'fixed';
+
+  var buffer = [];
+  var isClosed = false;
+  // Function that sends an item to consumers. Only set while the channel's
+  // hub is open.
+  var send = null;
+
+  var c = hub(accumulatable(function accumulateChannel(next, initial) {
+    var accumulated = initial;
+
+    send = function sendChannel(item) {
+      accumulated = next(accumulated, item);
+      // Once every consumer has ended, the hub is done with us. Stop sending
+      // now, since it can't dispose of us while we're still being opened.
+      if (accumulated === end && send === sendChannel) send = null;
+    };
+
+    // Flush buffered items. If every consumer ends during the flush, the rest
+    // of the buffer waits for the next consumer.
+    while (buffer.length && send) send(buffer.shift());
+
+    if (isClosed && send) send(end);
+
+    return function disposeChannel() {
+      send = null;
+    };
+  }));
+
+  c.put = function put(item) {
+    if (isClosed) return false;
+
+    if (send) {
+      send(item);
+      return true;
+    }
+
+    if (buffer.length < size) {
+      buffer.push(item);
+      return true;
+    }
+
+    if (policy === 'sliding') {
+      buffer.shift();
+      buffer.push(item);
+      return true;
+    }
+
+    if (policy === 'dropping') return false;
+
+    throw new Error('Channel buffer is full');
+  };
+
+  c.close = function close() {
+    if (isClosed) return;
+    isClosed = true;
+    if (send) send(end);
+  };
+
+  c.error = function putError(reason) {
+    return c.put(error(reason));
+  };
+
+  return c;
+}
+export channel;
+
+
+// Create an accumulator function from 2 functions: `next()`, an accumulator
+// that will be called for every value except `end`, and `last()`, another
+// accmulator that will only be called for `end`.
+function handleEnd(next, last) {
+  // `last()` is optional. If no `last()` is specified, fall back to `id()`.
+  last = last || id;
+  return function nextIgnoreEnd(accumulated, item) {
+    return (item !== end) ? next(accumulated, item) : last(accumulated, end);
+  }
+}
+export handleEnd;
+
+
+// Promises
+// --------
+//
+// Bridges between accumulatables and promises. Getting a final value out of a
+// source means accumulating it with a `next` that watches for `end`. These
+// helpers do that for you, returning a promise for the result. Error items
+// reject the promise.
+//
+// Promises are not available in every environment. These helpers expect a
+// global `Promise`.
+
+
+// Reduce `source` with `next` and `initial` value, returning a promise for
+// the final reduction. The promise is resolved when `source` ends, and
+// rejected with the reason of the first error item, or any exception thrown
+// by `next`.
+//
+//     toPromise([1, 2, 3], function (a, b) { return a + b; }, 0)
+//     > Promise(6)
+function toPromise(source, next, initial) {
+  return new Promise(function (resolve, reject) {
+    var isSettled = false;
+
+    accumulate(source, function nextPromise(accumulated, item) {
+      // Source should have stopped, but in case it didn't, keep ending it.
+      if (isSettled) return end;
+
+      if (item === end || isError(item)) {
+        isSettled = true;
+        item === end ? resolve(accumulated) : reject(item.reason);
+        return end;
+      }
+
+      try {
+        return next(accumulated, item);
+      }
+      catch (exception) {
+        isSettled = true;
+        reject(exception);
+        return end;
+      }
+    }, initial);
+  });
+}
+export toPromise;
+
+
+// Internal reducer that adds `item` to a collection. Used by `into()`.
+function addToCollection_(collection, item) {
+  isMethodAt(collection, 'push') ? collection.push(item) : collection.add(item);
+  return collection;
+}
+
+
+// Add every item of `source` to `collection`, returning a promise for the
+// collection once `source` ends. `collection` may be an array, or anything
+// with an `add` method, like a `Set`. Items are added in place.
+//
+//     into(take(on(el, 'click'), 3), [])
+//     > Promise([event, event, event])
+function into(source, collection) {
+  return toPromise(source, addToCollection_, collection);
+}
+export into;
+
+
+// Collect the items of `source` into a new array. Returns a promise for the
+// array.
+function toArray(source) {
+  return into(source, []);
+}
+export toArray;
+
+
+// Internal reducer that keeps the latest item. Used by `first()` and `last()`.
+function last_(_, item) {
+  return item;
+}
+
+
+// Get a promise for the first item of `source`. The source is ended after the
+// first item. If `source` ends without sending an item, the promise is
+// resolved with `undefined`.
+function first(source) {
+  return toPromise(take(source, 1), last_);
+}
+export first;
+
+
+// Get a promise for the last item of `source`, resolved when the source ends.
+// If `source` ends without sending an item, the promise is resolved with
+// `undefined`.
+function last(source) {
+  return toPromise(source, last_);
+}
+export last;
+
+
+// Create a source from a promise. The source contains one item, the value
+// of the promise, followed by `end`. If the promise is rejected, the source
+// contains an error item instead.
+//
+//     fromPromise(fetch('x.json'))
+//     > <response, end>
+function fromPromise(promise) {
+  return accumulatable(function accumulatePromise(next, initial) {
+    var isDisposed = false;
+
+    function settle(item) {
+      if (isDisposed) return;
+      var accumulated = next(initial, item);
+      if (accumulated !== end) next(accumulated, end);
+    }
+
+    promise.then(settle, function (reason) {
+      settle(error(reason));
+    });
+
+    // Promises can't be cancelled, but we can ignore their value.
+    return function disposePromise() {
+      isDisposed = true;
+    };
+  });
+}
+export fromPromise;
+
+
+// Folding
+// -------
+//
+// Clojure's reducers can `fold` a collection: split it into chunks, reduce
+// the chunks independently, then combine the results. Independent chunks can
+// be reduced on other threads.
+
+
+// Internal helper that finds the array-like at the bottom of a chain of
+// `accumulator()` transformations, like `map(filter(array, p), f)`. Returns
+// the array-like and the chain, outermost transformation first. Returns
+// `null` if there is no array-like at the bottom.
+function foldable_(source) {
+  var chain = [];
+
+  while (source != null && source.madeFrom_) {
+    chain.push(source.madeFrom_);
+    source = source.madeFrom_.source;
+  }
+
+  return isArrayLike_(source) ? { array: source, chain: chain } : null;
+}
+
+
+// Internal helper that makes `chain` again over `array`.
+function remake_(chain, array) {
+  return chain.reduceRight(function remakeStep(source, step) {
+    return accumulator(step.xf)(source, step.additional);
+  }, array);
+}
+
+
+// Internal helper that copies the items of `array` from `start` up to `stop`.
+function sliceArrayLike_(array, start, stop) {
+  return isMethodAt(array, 'slice') ?
+    array.slice(start, stop) :
+    Array.prototype.slice.call(array, start, stop);
+}
+
+
+// Source of the worker script used by `fold()`. Functions are sent to it as
+// strings, and the chain of transformations is rebuilt around `reduce`.
+// Each chunk is reduced like `toPromise()` would reduce it: an error item or
+// exception gives the chunk an `error`, and an `end` item, or `reduce`
+// returning `end`, stops the chunk early. Error items lose their prototype
+// on the way, so their positions are sent along in `errors`.
+var foldWorkerSource_ = [
+  "var threads = require('worker_threads');",
+  "var data = threads.workerData;",
+  "function revive(source) { return (0, eval)('(' + source + ')'); }",
+  "var reduce = revive(data.reduce);",
+  "var combine = revive(data.combine);",
+  "var next = data.chain.reduce(function (next, step) {",
+  "  var xf = revive(step.xf);",
+  "  var additional = step.isFunction ? revive(step.additional) : step.additional;",
+  "  return function (accumulated, item) {",
+  "    return xf(additional, next, accumulated, item);",
+  "  };",
+  "}, reduce);",
+  "function foldChunk(chunk) {",
+  "  var accumulated = combine();",
+  "  for (var i = 0; i < chunk.items.length; i++) {",
+  "    if (!(i in chunk.items)) continue;",
+  "    var item = chunk.items[i];",
+  "    if (chunk.errors.indexOf(i) !== -1) return { error: item.reason };",
+  "    if (item === data.end) break;",
+  "    try {",
+  "      accumulated = next(accumulated, item);",
+  "    }",
+  "    catch (exception) {",
+  "      return { error: exception };",
+  "    }",
+  "    if (accumulated === data.end) break;",
+  "  }",
+  "  return { value: accumulated };",
+  "}",
+  "threads.parentPort.postMessage(data.chunks.map(foldChunk));"
+].join('\n');
+
+
+// Internal helper that finds the positions of error items in `chunk`.
+function errorIndexes_(chunk) {
+  var indexes = [];
+  for (var i = 0; i < chunk.length; i++) if (isError(chunk[i])) indexes.push(i);
+  return indexes;
+}
+
+
+// Internal helper that reduces `chunks` across `workers` Node worker threads.
+// Each worker gets a run of neighbouring chunks. Returns a promise for an
+// array of the reductions of every chunk, in order. The promise is rejected
+// with the first error of any chunk, in order, or if a worker fails.
+function foldInWorkers_(chain, chunks, combine, reduce, workers) {
+  var threads = requireNode_('worker_threads');
+  if (!threads) {
+    return Promise.reject(new Error('fold() needs Node worker_threads to use workers'));
+  }
+
+  if (workers === true) workers = requireNode_('os').cpus().length;
+
+  var count = Math.min(workers, chunks.length);
+  var runs = [];
+  for (var i = 0; i < count; i++) {
+    runs.push(chunks.slice(
+      Math.floor(i * chunks.length / count),
+      Math.floor((i + 1) * chunks.length / count)));
+  }
+
+  var steps = chain.map(function serializeStep(step) {
+    var isFunction = typeof step.additional === 'function';
+    return {
+      xf: String(step.xf),
+      additional: isFunction ? String(step.additional) : step.additional,
+      isFunction: isFunction
+    };
+  });
+
+  return Promise.all(runs.map(function foldRun(run) {
+    return new Promise(function (resolve, reject) {
+      var worker = new threads.Worker(foldWorkerSource_, {
+        eval: true,
+        workerData: {
+          reduce: String(reduce),
+          combine: String(combine),
+          chain: steps,
+          end: end,
+          chunks: run.map(function serializeChunk(chunk) {
+            return { items: chunk, errors: errorIndexes_(chunk) };
+          })
+        }
+      });
+
+      worker.once('message', resolve);
+      worker.once('error', reject);
+      // Settling is a no-op if the worker already sent its reductions.
+      worker.once('exit', function (code) {
+        reject(new Error('fold() worker exited with code ' + code));
+      });
+    });
+  })).then(function (runs) {
+    var results = [].concat.apply([], runs);
+
+    for (var i = 0; i < results.length; i++) {
+      if ('error' in results[i]) throw results[i].error;
+    }
+
+    return results.map(function (result) {
+      return result.value;
+    });
+  });
+}
+
+
+// Fold `source`: split it into chunks, reduce each chunk with `reduce`, then
+// combine the reductions with `combine`. Returns a promise for the result,
+// which is the same as reducing the whole of `source` at once, as long as
+// `combine` is associative.
+//
+// `combine()`, called with no arguments, returns the initial value for
+// every chunk, so it should be an identity for `combine`. Just like
+// [Clojure's fold](http://clojuredocs.org/clojure.core.reducers/fold):
+//
+//     function plus(a, b) { return arguments.length ? a + b : 0; }
+//     fold(map(numbers, square), plus, plus)
+//     > Promise(...)
+//
+// Arrays, typed arrays, `arguments` and DOM lists can be split, along with
+// any chain of `map()`, `filter()`, `reject()` or other `accumulator()`
+// transformations over them. Anything else is reduced in one go. `options`:
+//
+// * `chunkSize` is the number of items in each chunk. Defaults to 512.
+// * `workers` reduces the chunks across that many Node `worker_threads`, or
+//   one per CPU if `true`. Functions are copied to the workers as source
+//   code, so `combine`, `reduce`, and the functions given to the
+//   transformations must not close over any variables. Items and results
+//   must survive being copied between threads.
+//
+// The promise is rejected with the reason of the first error item, or any
+// exception thrown along the way.
+function fold(source, combine, reduce, options) {
+  options = options || {};
+  var chunkSize = options.chunkSize || 512;
+  var found = foldable_(source);
+
+  // Nothing to split.
+  if (!found) return toPromise(source, reduce, combine());
+
+  var chunks = [];
+  for (var i = 0; i < found.array.length; i += chunkSize) {
+    chunks.push(sliceArrayLike_(found.array, i, i + chunkSize));
+  }
+
+  var reductions = options.workers ?
+    foldInWorkers_(found.chain, chunks, combine, reduce, options.workers) :
+    Promise.all(chunks.map(function foldChunk(chunk) {
+      return toPromise(remake_(found.chain, chunk), reduce, combine());
+    }));
+
+  return reductions.then(function (reductions) {
+    if (!reductions.length) return combine();
+
+    return reductions.reduce(function combineReductions(a, b) {
+      return combine(a, b);
+    });
+  });
+}
+export fold;
+
+
+// Async iterators
+// ---------------
+//
+// Accumulatables push items to consumers. Async iterators let consumers pull
+// them instead, with `for await`:
+//
+//     for await (var event of take(on(el, 'click'), 3)) { ... }
+//
+// Every accumulatable is async-iterable where `Symbol.asyncIterator` is
+// supported.
+
+
+// Internal helper used as the `Symbol.asyncIterator` method of accumulatables.
+// See `accumulatable()`.
+function asyncIteratorMethod_() {
+  return toAsyncIterator(this);
+}
+
+
+// Internal helper that settles a pending pull of an async iterator with `item`.
+function settlePull_(pull, item) {
+  if (item === end) pull.resolve({ value: undefined, done: true });
+  else if (isError(item)) pull.reject(item.reason);
+  else pull.resolve({ value: item, done: false });
+}
+
+
+// Create an async iterator for `source`. The source is opened on the first
+// call to `next()`. Items are queued until they are pulled, bridging push to
+// pull. While no pull is waiting, the source is handed a pause token (see
+// `Pause_`), so arrays, iterators and other sources that understand it only
+// produce as fast as they are pulled. An error item rejects the pull and
+// finishes iteration. Calling `return()` (e.g. `break`ing out of a
+// `for await` loop) disposes of the source.
+function toAsyncIterator(source) {
+  // Items waiting to be pulled, and pulls waiting for items.
+  var queue = [];
+  var pulls = [];
+  // True once source has been opened.
+  var isOpen = false;
+  // True once source has sent its last item, or iteration was stopped.
+  var isClosed = false;
+  var dispose = noop;
+  var pause = null;
+
+  function nextIterator(accumulated, item) {
+    if (isClosed) return end;
+
+    var isLast = item === end || isError(item);
+    if (isLast) isClosed = true;
+
+    pulls.length ? settlePull_(pulls.shift(), item) : queue.push(item);
+
+    // Iteration is finished, so any other waiting pulls are done.
+    if (isLast) {
+      pulls.splice(0).forEach(function (pull) {
+        settlePull_(pull, end);
+      });
+      return end;
+    }
+
+    // Nobody is waiting for another item, so ask source to pause until
+    // somebody is.
+    if (pulls.length) return accumulated;
+    if (!isPaused_(pause)) pause = new Pause_();
+    return pause;
+  }
+
+  var iterator = {};
+
+  iterator.next = function next() {
+    return new Promise(function (resolve, reject) {
+      var pull = { resolve: resolve, reject: reject };
+
+      if (queue.length) return settlePull_(pull, queue.shift());
+      if (isClosed) return settlePull_(pull, end);
+
+      pulls.push(pull);
+
+      if (!isOpen) {
+        isOpen = true;
+        dispose = accumulate(source, nextIterator);
+      }
+      else if (pause) {
+        pause.resume();
+      }
+    });
+  };
+
+  iterator.return = function stop(value) {
+    if (!isClosed) {
+      isClosed = true;
+      dispose();
+    }
+
+    queue = [];
+    pulls.splice(0).forEach(function (pull) {
+      settlePull_(pull, end);
+    });
+
+    return Promise.resolve({ value: value, done: true });
+  };
+
+  if (symbolAsyncIterator) iterator[symbolAsyncIterator] = function () {
+    return iterator;
+  };
+
+  return iterator;
+}
+export toAsyncIterator;
+
+
+// Node streams
+// ------------
+//
+// Bridges between accumulatables and Node streams. When a writable is full,
+// `pipeTo()` and `toStream()` hand their source a pause token (see
+// `Pause_`), and sources that understand it stop sending until the writable
+// has drained.
+
+
+// Internal helper that destroys a stream, for old streams that can't be
+// destroyed too.
+function destroyStream_(stream, reason) {
+  if (isMethodAt(stream, 'destroy')) stream.destroy(reason);
+}
+
+
+// Create a source from a Node `readable` stream. Sends each chunk, then `end`.
+// An error on the stream is sent as an error item, followed by `end`.
+//
+//     lines(fromStream(fs.createReadStream('log.txt', 'utf8')))
+//
+// `readable` is destroyed if the consumer returns `end`, or the source is
+// disposed. Streams can only be read once, so accumulate the source once too,
+// or share it with `hub()`.
+function fromStream(readable) {
+  return accumulatable(function accumulateStream(next, initial) {
+    var accumulated = initial;
+    var isDone = false;
+
+    function finish() {
+      isDone = true;
+      readable.removeListener('data', onData);
+      readable.removeListener('end', onEnd);
+      readable.removeListener('close', onEnd);
+      // The error listener stays. Emitting `'error'` with no listeners throws.
+    }
+
+    function resume() {
+      if (!isDone) readable.resume();
+    }
+
+    function onData(chunk) {
+      if (isDone) return;
+
+      accumulated = next(accumulated, chunk);
+
+      if (accumulated === end) {
+        finish();
+        destroyStream_(readable);
+      }
+      else if (isPaused_(accumulated)) {
+        readable.pause();
+        accumulated.wait(resume);
+      }
+    }
+
+    // Also called for `'close'`, in case `readable` was destroyed before it
+    // ended.
+    function onEnd() {
+      if (isDone) return;
+      finish();
+      next(accumulated, end);
+    }
+
+    function onError(exception) {
+      if (isDone) return;
+      finish();
+      accumulated = next(accumulated, error(exception));
+      if (accumulated !== end) next(accumulated, end);
+    }
+
+    readable.on('error', onError);
+    readable.on('end', onEnd);
+    readable.on('close', onEnd);
+    readable.on('data', onData);
+
+    return function disposeStream() {
+      if (isDone) return;
+      finish();
+      destroyStream_(readable);
+    };
+  });
+}
+export fromStream;
+
+
+// Write the items of `source` to a Node `writable` stream, then end it.
+// Returns a promise that is resolved once `writable` has finished, and
+// rejected with the reason of the first error item, or an error from
+// `writable`. An error item destroys `writable`.
+//
+//     pipeTo(map(fromStream(input), transform), output)
+//
+// When `writable` is full (see its `highWaterMark`), `source` is asked to
+// pause until it drains. Items put into a `channel()`, like the windows of
+// `windowCount()` or the groups of `groupBy()`, can't be held back this way.
+function pipeTo(source, writable) {
+  return new Promise(function (resolve, reject) {
+    var isSettled = false;
+    var dispose = noop;
+    var pause = null;
+
+    function fail(reason) {
+      if (isSettled) return;
+      isSettled = true;
+      writable.removeListener('finish', onFinish);
+      dispose();
+      reject(reason);
+    }
 
-  return item;
+    function onFinish() {
+      isSettled = true;
+      writable.removeListener('error', fail);
+      resolve();
+    }
+
+    // Writables may emit `'error'` more than once, and emitting it with no
+    // listeners throws, so the error listener stays until `writable` has
+    // finished.
+    writable.on('error', fail);
+    writable.once('finish', onFinish);
+
+    dispose = accumulate(source, function nextPipe(_, item) {
+      if (isSettled) return end;
+
+      if (item === end) {
+        writable.end();
+        return end;
+      }
+
+      if (isError(item)) {
+        fail(item.reason);
+        destroyStream_(writable);
+        return end;
+      }
+
+      if (writable.write(item)) return null;
+
+      // Sources that don't pause keep writing. Wait for one drain at a time.
+      if (isPaused_(pause)) return pause;
+
+      pause = new Pause_();
+      writable.once('drain', function onDrain() {
+        pause.resume();
+      });
+      return pause;
+    });
+
+    // `source` may have failed while it was being opened.
+    if (isSettled) dispose();
+  });
 }
+export pipeTo;
 
 
-// Some sources, like event streams, can only be accumulated once. Events in
-// the source happen, but no reference is kept in memory by the source. `hub()`
-// allows you to transform a source of this type so it can be accumulated
-// multiple times. It does this by keeping a list of consumers and dispatching
-// items in source to each of them. Usage:
-//
-//     hub(accumulatable(function (next, initial) { ... }))
+// Create a Node readable stream of the items of `source`. `source` is not
+// accumulated until the stream is first read. The stream is in object mode,
+// unless `options` says otherwise. `options` are passed on to the `Readable`
+// constructor.
 //
-// @TODO close source if all consumers pass back `end`. Nice to have. Probably
-// not crucial for most use cases.
+//     toStream(map(on(socket, 'message'), JSON.stringify)).pipe(process.stdout)
 //
-// @TODO if hub ends sources, should also throw exception if source continues
-// to send values after being ended prematurely.
-function hub(source) {
-  // Create hub object.
-  var h = {};
-  // Create array to keep track of consumers.
-  h.consumers = [];
+// `source` is paused while the stream's buffer is full (see its
+// `highWaterMark`), with the same caveat for channels as `pipeTo()`. An
+// error item destroys the stream with its reason, and destroying the stream
+// disposes of `source`.
+function toStream(source, options) {
+  var streams = requireNode_('stream');
+  if (!streams) throw new Error('toStream() needs Node streams');
 
-  return accumulatable(function accumulateHub(next, initial) {
-    var consumers = this.consumers;
+  var Readable = streams.Readable;
 
-    // Add consumer to hub.
-    consumers.push({ next: next, accumulated: initial });
+  options = options || {};
+  var dispose = null;
+  var pause = null;
 
-    // If hub is already open, we don't need to reopen it.
-    if (this.isOpen) return;
+  var readable = new Readable({
+    objectMode: options.objectMode !== false,
+    highWaterMark: options.highWaterMark,
+    encoding: options.encoding,
 
-    // Mark hub open.
-    this.isOpen = true;
+    read: function read() {
+      if (pause) pause.resume();
+      if (dispose) return;
 
-    function nextDispatch(_, item) {
-      // When item comes from source, dispatch it to all consumers.
-      consumers.reduce(dispatchToConsumer_, item);
+      // Mark `source` as open before it starts sending.
+      dispose = noop;
+      dispose = accumulate(source, function nextReadable(_, item) {
+        if (readable.destroyed) return end;
 
-      // If item is end token, empty all consumers from array. We're done.
-      if (item === end) consumers.splice(0, consumers.length);
-    }
+        if (item === end) {
+          readable.push(null);
+          return end;
+        }
 
-    // Begin accumulation of source.
-    accumulate(source, nextDispatch);
-  }, h);
-}
-export hub;
+        if (isError(item)) {
+          readable.destroy(item.reason);
+          return end;
+        }
 
+        if (readable.push(item)) return null;
 
-// Create an accumulator function from 2 functions: `next()`, an accumulator
-// that will be called for every value except `end`, and `last()`, another
-// accmulator that will only be called for `end`.
-function handleEnd(next, last) {
-  // `last()` is optional. If no `last()` is specified, fall back to `id()`.
-  last = last || id;
-  return function nextIgnoreEnd(accumulated, item) {
-    return (item !== end) ? next(accumulated, item) : last(accumulated, end);
-  }
+        pause = new Pause_();
+        return pause;
+      });
+
+      if (readable.destroyed) dispose();
+    },
+
+    destroy: function destroy(reason, callback) {
+      if (dispose) dispose();
+      callback(reason);
+    }
+  });
+
+  return readable;
 }
-export handleEnd;
+export toStream;
 
 
 // Browser helpers: animation, DOM events, etc
@@ -531,13 +4114,31 @@ function requestAnimationFrame(callback) {
 }
 
 
+// A wrapper for [cancelAnimationFrame][caf], the counterpart to
+// `requestAnimationFrame()` above.
+//
+// [caf]: https://developer.mozilla.org/en-US/docs/Web/API/window.cancelAnimationFrame
+function cancelAnimationFrame(id) {
+  // Use any available cancelAnimationFrame.
+  return (window.cancelAnimationFrame ||
+          window.mozCancelAnimationFrame ||
+          window.webkitCancelAnimationFrame ||
+          window.msCancelAnimationFrame)(id);
+}
+
+
 // Get a stream of animation frames over time.
 // Returns an accumulatable for a stream of animation frames over time.
 // Each frame is represented by a framecount.
-function frames(ms) {
+//
+// Frames are requested through `scheduler`, if given (see `realTimeScheduler`).
+function frames(ms, scheduler) {
+  scheduler = scheduler || realTimeScheduler;
+
   return accumulatable(function accumulateFrames(next, initial) {
     var accumulated = initial;
-    var start = Date.now();
+    var start = scheduler.now();
+    var cancel;
 
     function onFrame(now) {
       accumulated = next(accumulated, now);
@@ -545,29 +4146,100 @@ function frames(ms) {
       // If we have reached the ms count for frames, end the source.
       if (ms && ((now - start) >= ms)) return next(accumulated, end);
       // If consumer ends source, stop requesting frames.
-      if (accumulated !== end) return requestAnimationFrame(onFrame);
+      if (accumulated !== end) cancel = scheduler.frame(onFrame);
     }
 
-    requestAnimationFrame(onFrame);
+    cancel = scheduler.frame(onFrame);
+
+    // Disposing cancels the next frame request.
+    return function disposeFrames() {
+      cancel();
+    };
   });
 }
 export frames;
 
 
-// Open a source representing events over time on an element.
-// Returns an accumulatable source.
-function on(element, event) {
-  // Since we want to avoid opening up multiple event listeners on the element,
+// Internal helper that works out how to listen to `target`. Returns a pair of
+// functions that add and remove a listener for `event`, or `null` if
+// `target` is not something we know how to listen to.
+function listenerMethods_(target, event, options) {
+  // DOM elements, `window`, and Node's `EventTarget`. `options` must be
+  // handed to both, so that capturing listeners are removed.
+  if (isMethodAt(target, 'addEventListener')) return [
+    function add(listener) {
+      target.addEventListener(event, listener, options);
+    },
+    function remove(listener) {
+      target.removeEventListener(event, listener, options);
+    }
+  ];
+
+  // Node's `EventEmitter`, jQuery, and other `on`/`off` style emitters.
+  var onKey = isMethodAt(target, 'on') ? 'on' :
+    isMethodAt(target, 'addListener') ? 'addListener' : null;
+  var offKey = isMethodAt(target, 'off') ? 'off' :
+    isMethodAt(target, 'removeListener') ? 'removeListener' : null;
+
+  if (!onKey || !offKey) return null;
+
+  return [
+    function add(listener) {
+      target[onKey](event, listener);
+    },
+    function remove(listener) {
+      target[offKey](event, listener);
+    }
+  ];
+}
+
+
+// Open a source representing events over time on `target`. `target` may be
+// a DOM element or any other `EventTarget`, a Node `EventEmitter`, or a
+// jQuery-style object with `on` and `off` methods. Only the first argument
+// given to the listener is sent.
+//
+//     on(button, 'click')
+//     on(process, 'message')
+//     on($('.menu'), 'mouseenter')
+//
+// `options` are the listener options of `addEventListener`: `capture`,
+// `passive` and `once`, or a boolean for `capture`. `capture` and `passive`
+// only mean something to `EventTarget`s. With `once`, the source ends after
+// the first event, whatever `target` is.
+//
+// Returns an accumulatable source. The listener is removed once every
+// consumer has ended, or the source is disposed.
+function on(target, event, options) {
+  var methods = listenerMethods_(target, event, options);
+  var isOnce = options != null && options.once === true;
+
+  if (!methods) {
+    throw new TypeError('on() needs an EventTarget, EventEmitter, or object with on and off methods');
+  }
+
+  // Since we want to avoid opening up multiple event listeners on the target,
   // we use `hub()` to allow for multiple reductions of one source.
   return hub(accumulatable(function accumulateEventListener(next, initial) {
     var accumulated = initial;
+    var isListening = true;
 
-    function listener(event) {
-      accumulated = next(accumulated, event);
-      if(accumulated === end) element.removeEventListener(listener);
+    function disposeEventListener() {
+      if (!isListening) return;
+      isListening = false;
+      methods[1](listener);
+    }
+
+    function listener(e) {
+      if (!isListening) return;
+      accumulated = next(accumulated, e);
+      if (isOnce && accumulated !== end) accumulated = next(accumulated, end);
+      if (isOnce || accumulated === end) disposeEventListener();
     }
 
-    element.addEventListener(event, listener);
+    methods[0](listener);
+
+    return disposeEventListener;
   }));
 }
 export on;
@@ -580,12 +4252,17 @@ export on;
 //     request('http://foo.com/x.json', 'GET');
 //     > <httpStatusCode, headers, body, end>
 //
+// If the request fails, an error item is sent before `end`.
+//
 // Tip: use with drop to skip response code/headers, returning a source
 // containing only response body:
 //
 //     drop(request('y.json', 'GET'), 2);
 //     > <body, end>
 //
+// See `http()` for a `fetch`-based alternative that sends a structured
+// response, and streams the body.
+//
 // <https://developer.mozilla.org/en-US/docs/Web/API/XMLHttpRequest>
 function request(url, method, body, headers, timeout, responseType, mimeType, credentials) {
   return hub(accumulatable(function accumulateXhr(next, initial) {
@@ -623,8 +4300,8 @@ function request(url, method, body, headers, timeout, responseType, mimeType, cr
 
         accumulated = next(accumulated, this.responseText);
 
-        // Accumulate error if there was one.
-        if (this.error) accumulated = next(accumulated, this.error);
+        // Accumulate error item if there was one.
+        if (this.error) accumulated = next(accumulated, error(this.error));
 
         // End the source.
         next(accumulated, end);
@@ -652,7 +4329,543 @@ function request(url, method, body, headers, timeout, responseType, mimeType, cr
 
     // Send any data to the server.
     req.send(body);
+
+    // Disposing aborts the request if it is still in flight.
+    return function disposeXhr() {
+      if (req.onreadystatechange === null) return;
+      req.onreadystatechange = null;
+      req.abort();
+    };
   }));
 }
 export request;
 
+
+// Internal helper that makes the response object sent by `http()`. Headers
+// become a plain object, keyed by lowercase header name.
+function describeResponse_(response) {
+  var headers = {};
+  response.headers.forEach(function addHeader(value, key) {
+    headers[key.toLowerCase()] = value;
+  });
+
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    ok: response.ok,
+    url: response.url,
+    headers: headers
+  };
+}
+
+
+// Make an HTTP request with [fetch](https://developer.mozilla.org/en-US/docs/Web/API/fetch).
+// `options` are passed on to `fetch()`. Returns a source of a response
+// object, then the chunks of the response body as they arrive, then `end`.
+//
+//     http('/items', { method: 'POST', body: JSON.stringify(item) })
+//     >> <{ status: 201, statusText: 'Created', ok: true, url: '...', headers: {...} }, Uint8Array, ..., end>
+//
+// Responses with a status outside of 200-299 are sent as an error item
+// instead, followed by `end`. Its reason is an `Error` with the `response`
+// object. Network failures are error items too.
+//
+// The request is aborted with an `AbortController` once every consumer has
+// ended, or the source is disposed. Like `request()`, the source is a
+// `hub()`, so many consumers share one request.
+//
+// Expects global `fetch` and `AbortController`, found in browsers and
+// Node 18+.
+function http(url, options) {
+  return hub(accumulatable(function accumulateHttp(next, initial) {
+    var accumulated = initial;
+    var controller = new AbortController();
+    var isDone = false;
+
+    var init = {};
+    for (var key in options) init[key] = options[key];
+    init.signal = controller.signal;
+
+    function send(item) {
+      if (isDone) return;
+      accumulated = next(accumulated, item);
+      if (accumulated === end) abort();
+    }
+
+    function finish(item) {
+      if (isDone) return;
+      if (item !== end) send(item);
+      if (!isDone) {
+        isDone = true;
+        next(accumulated, end);
+      }
+    }
+
+    function abort() {
+      if (isDone) return;
+      isDone = true;
+      controller.abort();
+    }
+
+    function fail(exception) {
+      // Aborting rejects every pending promise. Not news to anyone.
+      if (!isDone) finish(error(exception));
+    }
+
+    function read(reader) {
+      reader.read().then(function onChunk(step) {
+        if (isDone) return;
+        if (step.done) return finish(end);
+        send(step.value);
+        read(reader);
+      }, fail);
+    }
+
+    fetch(url, init).then(function onResponse(response) {
+      if (isDone) return;
+
+      var described = describeResponse_(response);
+
+      if (!response.ok) {
+        var exception = new Error('HTTP ' + response.status + ' ' + response.statusText);
+        exception.response = described;
+        finish(error(exception));
+        // We won't be reading the body.
+        controller.abort();
+        return;
+      }
+
+      send(described);
+      if (isDone) return;
+
+      if (response.body) read(response.body.getReader());
+      else finish(end);
+    }, fail);
+
+    return abort;
+  }));
+}
+export http;
+
+
+// Internal helper that turns an `http()` source into a source of the whole
+// response body, decoded as text.
+function bodyText_(source) {
+  return accumulatable(function accumulateBodyText(next, initial) {
+    var decoder = new TextDecoder();
+    var isResponse = true;
+    var text = '';
+
+    return accumulate(source, function nextBodyText(accumulated, item) {
+      if (isError(item)) return next(accumulated, item);
+
+      if (item === end) {
+        // Bodies that never arrived because of an error have no text.
+        if (!isResponse) {
+          text = text + decoder.decode();
+          accumulated = next(accumulated, text);
+        }
+        return accumulated === end ? end : next(accumulated, end);
+      }
+
+      if (isResponse) {
+        isResponse = false;
+        return accumulated;
+      }
+
+      text = text + decoder.decode(item, { stream: true });
+      return accumulated;
+    }, initial);
+  });
+}
+
+
+// Like `http()`, but sends the response body as a single string.
+//
+//     httpText('/readme.txt')
+//     >> <'...', end>
+function httpText(url, options) {
+  return bodyText_(http(url, options));
+}
+export httpText;
+
+
+// Like `http()`, but sends the response body parsed as JSON. A body that
+// isn't JSON is sent as an error item.
+//
+//     httpJSON('/items.json')
+//     >> <[...], end>
+function httpJSON(url, options) {
+  return map(httpText(url, options), JSON.parse);
+}
+export httpJSON;
+
+
+// Internal value of `WebSocket.prototype.OPEN`.
+var SOCKET_OPEN_ = 1;
+
+
+// Open a [WebSocket](https://developer.mozilla.org/en-US/docs/Web/API/WebSocket)
+// to `url`. Returns a source of the data of incoming messages. The source is
+// a `hub()`, so many consumers share one connection. It is opened with the
+// first consumer, and closed once every consumer has ended.
+//
+//     var feed = socket('wss://example.com/feed');
+//     ndjson(feed)
+//
+// The source has a `send(source)` method, which sends each item of `source`
+// as a message, and returns a disposer that stops it. Messages sent while
+// the socket is not connected are buffered, and sent once it is. Error items
+// are not sent.
+//
+//     feed.send(map(on(form, 'submit'), serialize));
+//
+// If the connection drops, a new one is made after a backoff. `options`:
+//
+// * `protocols` are the subprotocols to ask the server for.
+// * `reconnect` is `false` to end the source when the connection drops, or an
+//   object of `attempts` (in a row before giving up, `Infinity` by default),
+//   `backoff` (milliseconds before the first attempt, doubling for each one
+//   after, 1000 by default) and `maxBackoff` (30000 by default).
+// * `WebSocket` is the constructor to use, for environments without a global
+//   `WebSocket`, like Node before version 22.
+//
+// When the server closes the connection normally (code 1000), the source
+// ends. When reconnection gives up, an error item is sent, followed by
+// `end`.
+function socket(url, options, scheduler) {
+  options = options || {};
+  scheduler = scheduler || realTimeScheduler;
+
+  var reconnect = options.reconnect === false ? null : (options.reconnect || {});
+  var attempts = reconnect && reconnect.attempts != null ? reconnect.attempts : Infinity;
+  var backoff = reconnect && reconnect.backoff != null ? reconnect.backoff : 1000;
+  var maxBackoff = reconnect && reconnect.maxBackoff != null ? reconnect.maxBackoff : 30000;
+
+  // Outgoing messages, waiting for a connection.
+  var outbox = [];
+  // The open connection, if there is one.
+  var connected = null;
+
+  function flush() {
+    while (outbox.length && connected && connected.readyState === SOCKET_OPEN_) {
+      connected.send(outbox.shift());
+    }
+  }
+
+  var s = hub(accumulatable(function accumulateSocket(next, initial) {
+    var accumulated = initial;
+    var isClosed = false;
+    var failures = 0;
+    var current = null;
+    var cancelReconnect = noop;
+
+    function finish(item) {
+      isClosed = true;
+      connected = null;
+      if (item !== end) accumulated = next(accumulated, item);
+      if (accumulated !== end) next(accumulated, end);
+    }
+
+    function close() {
+      if (isClosed) return;
+      isClosed = true;
+      cancelReconnect();
+      connected = null;
+      if (current) current.close(1000);
+    }
+
+    function connect() {
+      var Socket = options.WebSocket || WebSocket;
+      var made;
+
+      cancelReconnect = noop;
+
+      try {
+        made = new Socket(url, options.protocols);
+      }
+      catch (exception) {
+        // Bad URLs and the like won't get better by trying again.
+        return finish(error(exception));
+      }
+
+      current = made;
+
+      made.onopen = function onOpen() {
+        if (isClosed || made !== current) return;
+        failures = 0;
+        connected = made;
+        flush();
+      };
+
+      made.onmessage = function onMessage(e) {
+        if (isClosed || made !== current) return;
+        accumulated = next(accumulated, e.data);
+        if (accumulated === end) close();
+      };
+
+      made.onclose = function onClose(e) {
+        if (isClosed || made !== current) return;
+
+        current = null;
+        connected = null;
+
+        if (e.code === 1000) return finish(end);
+
+        failures = failures + 1;
+
+        if (!reconnect || failures > attempts) {
+          return finish(error(new Error('WebSocket closed with code ' + e.code)));
+        }
+
+        var ms = Math.min(backoff * Math.pow(2, failures - 1), maxBackoff);
+        cancelReconnect = scheduler.delay(connect, ms);
+      };
+    }
+
+    connect();
+
+    return close;
+  }));
+
+  s.send = function send(source) {
+    return accumulate(source, function nextSend(_, item) {
+      if (item === end || isError(item)) return;
+      outbox.push(item);
+      flush();
+    });
+  };
+
+  return s;
+}
+export socket;
+
+
+// Internal value of `EventSource.prototype.CLOSED`.
+var EVENT_SOURCE_CLOSED_ = 2;
+
+
+// Internal helper that makes a parser for the
+// [Server-Sent Events wire format](https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation).
+// Write text to it in chunks with `parser.write(text)`, and `onEvent` is
+// called with a `{ type, data, id }` object for each event. `parser.id` and
+// `parser.retry` hold the last event id and reconnection time the server
+// asked for. `parser.reset()` gets ready for a new connection, keeping them.
+function eventStreamParser_(onEvent) {
+  var parser = { id: '', retry: null };
+  var line = '';
+  var data = '';
+  var type = '';
+  var isAfterCR = false;
+  var isStart = true;
+
+  function processField(field, value) {
+    if (field === 'event') type = value;
+    else if (field === 'data') data = data + value + '\n';
+    else if (field === 'id') {
+      if (value.indexOf('\u0000') === -1) parser.id = value;
+    }
+    else if (field === 'retry') {
+      if (/^[0-9]+$/.test(value)) parser.retry = parseInt(value, 10);
+    }
+  }
+
+  function processLine() {
+    // A blank line dispatches the event.
+    if (line === '') {
+      if (data !== '') {
+        onEvent({ type: type || 'message', data: data.slice(0, -1), id: parser.id });
+      }
+      data = '';
+      type = '';
+      return;
+    }
+
+    // Lines starting with a colon are comments.
+    if (line.charAt(0) === ':') return;
+
+    var i = line.indexOf(':');
+    if (i === -1) return processField(line, '');
+
+    var value = line.slice(i + 1);
+    processField(line.slice(0, i), value.charAt(0) === ' ' ? value.slice(1) : value);
+  }
+
+  parser.write = function write(text) {
+    for (var i = 0; i < text.length; i++) {
+      var c = text.charAt(i);
+
+      // Skip a byte order mark at the start of the stream.
+      if (isStart) {
+        isStart = false;
+        if (c === '\uFEFF') continue;
+      }
+
+      // The `\n` of a `\r\n` line break.
+      if (isAfterCR) {
+        isAfterCR = false;
+        if (c === '\n') continue;
+      }
+
+      if (c === '\r' || c === '\n') {
+        isAfterCR = c === '\r';
+        processLine();
+        line = '';
+      }
+      else {
+        line = line + c;
+      }
+    }
+  };
+
+  parser.reset = function reset() {
+    line = '';
+    data = '';
+    type = '';
+    isAfterCR = false;
+    isStart = true;
+  };
+
+  return parser;
+}
+
+
+// Open a source of [Server-Sent Events](https://developer.mozilla.org/en-US/docs/Web/API/Server-sent_events)
+// from `url`. Sends a `{ type, data, id }` object for each event, where `id`
+// is the last event id. Like `on()`, the source is a `hub()`: consumers
+// share one connection, which is closed once every consumer has ended.
+//
+//     map(events('/updates', { eventTypes: ['update', 'delete'] }), function (event) {
+//       return JSON.parse(event.data);
+//     })
+//
+// `options`:
+//
+// * `eventTypes` are the types of event to send. Defaults to `['message']`.
+// * `withCredentials` sends cookies along with cross-origin requests.
+// * `EventSource` is the constructor to use. Defaults to the global
+//   `EventSource`. Where there is none, or it is `null`, the event stream is
+//   fetched with `http()` and parsed here instead. It reconnects when the
+//   connection drops, after the time the server asked for with `retry:` (3
+//   seconds by default), and sends the `Last-Event-ID` header.
+//
+// If the server refuses the connection, an error item is sent, followed by
+// `end`.
+function events(url, options, scheduler) {
+  options = options || {};
+  scheduler = scheduler || realTimeScheduler;
+
+  var eventTypes = options.eventTypes || ['message'];
+  var Source = options.EventSource !== undefined ? options.EventSource :
+    typeof EventSource !== 'undefined' ? EventSource : null;
+
+  return hub(accumulatable(function accumulateEvents(next, initial) {
+    var accumulated = initial;
+    var isClosed = false;
+    var closeConnection = noop;
+    var cancelReconnect = noop;
+
+    function send(event) {
+      if (isClosed || eventTypes.indexOf(event.type) === -1) return;
+      accumulated = next(accumulated, event);
+      if (accumulated === end) close();
+    }
+
+    function close() {
+      if (isClosed) return;
+      isClosed = true;
+      cancelReconnect();
+      closeConnection();
+    }
+
+    function fail(item) {
+      if (isClosed) return;
+      close();
+      accumulated = next(accumulated, item);
+      if (accumulated !== end) next(accumulated, end);
+    }
+
+    function openEventSource() {
+      var source = new Source(url, { withCredentials: !!options.withCredentials });
+
+      var listeners = eventTypes.map(function (type) {
+        return function listener(e) {
+          send({ type: type, data: e.data, id: e.lastEventId });
+        };
+      });
+
+      // `EventSource` reconnects by itself. It only gives up for good when
+      // the server refuses it.
+      function onError() {
+        if (source.readyState === EVENT_SOURCE_CLOSED_) {
+          fail(error(new Error('EventSource connection to ' + url + ' failed')));
+        }
+      }
+
+      eventTypes.forEach(function (type, i) {
+        source.addEventListener(type, listeners[i]);
+      });
+      source.addEventListener('error', onError);
+
+      closeConnection = function closeEventSource() {
+        eventTypes.forEach(function (type, i) {
+          source.removeEventListener(type, listeners[i]);
+        });
+        source.removeEventListener('error', onError);
+        source.close();
+      };
+    }
+
+    var parser = eventStreamParser_(send);
+
+    function reconnect() {
+      if (isClosed) return;
+      var ms = parser.retry == null ? 3000 : parser.retry;
+      cancelReconnect = scheduler.delay(fetchEventStream, ms);
+    }
+
+    function fetchEventStream() {
+      var headers = { Accept: 'text/event-stream', 'Cache-Control': 'no-cache' };
+      if (parser.id) headers['Last-Event-ID'] = parser.id;
+
+      var decoder = new TextDecoder();
+      var isResponse = true;
+
+      cancelReconnect = noop;
+      parser.reset();
+
+      closeConnection = accumulate(http(url, {
+        headers: headers,
+        credentials: options.withCredentials ? 'include' : 'same-origin'
+      }), function nextEventStream(_, item) {
+        if (isClosed) return end;
+
+        if (item === end) {
+          reconnect();
+          return end;
+        }
+
+        if (isError(item)) {
+          // A response the server meant. Reconnecting won't change its mind.
+          if (item.reason && item.reason.response) fail(item);
+          else reconnect();
+          return end;
+        }
+
+        if (isResponse) {
+          isResponse = false;
+          return;
+        }
+
+        parser.write(decoder.decode(item, { stream: true }));
+        return isClosed ? end : null;
+      });
+    }
+
+    Source ? openEventSource() : fetchEventStream();
+
+    return close;
+  }));
+}
+export events;
+
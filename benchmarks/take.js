@@ -0,0 +1,39 @@
+// Benchmark `take()` and other short-circuiting transforms over large arrays.
+// Taking a few items should cost the same no matter how large the array is.
+//
+// Run with `make bench`.
+var r = require('../node/accumulators.js');
+var accumulate = r.accumulate;
+var map = r.map;
+var take = r.take;
+var end = r.end;
+
+function range(n) {
+  var array = new Array(n);
+  for (var i = 0; i < n; i++) array[i] = i;
+  return array;
+}
+
+function inc(x) {
+  return x + 1;
+}
+
+function sum(accumulated, item) {
+  return item === end ? accumulated : accumulated + item;
+}
+
+function bench(name, source, times) {
+  var start = Date.now();
+  for (var i = 0; i < times; i++) accumulate(source, sum, 0);
+  var ms = Date.now() - start;
+  console.log(name + ': ' + (ms / times).toFixed(4) + 'ms per accumulation');
+}
+
+[1e3, 1e6].forEach(function (n) {
+  var array = range(n);
+  var typed = new Float64Array(array);
+
+  bench('take(array(' + n + '), 2)', take(array, 2), 1000);
+  bench('take(map(array(' + n + '), inc), 2)', take(map(array, inc), 2), 1000);
+  bench('take(Float64Array(' + n + '), 2)', take(typed, 2), 1000);
+});
@@ -12,13 +12,91 @@ var reductions = r.reductions;
 var isMethodAt = r.isMethodAt;
 var drop = r.drop;
 var take = r.take;
+var error = r.error;
+var isError = r.isError;
+var recover = r.recover;
+var merge = r.merge;
+var on = r.on;
+var replay = r.replay;
+var latest = r.latest;
+var channel = r.channel;
+var toPromise = r.toPromise;
+var into = r.into;
+var toArray = r.toArray;
+var first = r.first;
+var last = r.last;
+var fromPromise = r.fromPromise;
+var toAsyncIterator = r.toAsyncIterator;
+var reduced = r.reduced;
+var isReduced = r.isReduced;
+var debounce = r.debounce;
+var throttle = r.throttle;
+var delay = r.delay;
+var interval = r.interval;
+var timer = r.timer;
+var timeout = r.timeout;
+var virtualScheduler = r.virtualScheduler;
+var record = r.record;
+var fromTimeline = r.fromTimeline;
+var marbles = r.marbles;
+var frames = r.frames;
+var zip = r.zip;
+var combineLatest = r.combineLatest;
+var withLatestFrom = r.withLatestFrom;
+var race = r.race;
+var mergeLimit = r.mergeLimit;
+var mapcat = r.mapcat;
+var switchLatest = r.switchLatest;
+var exhaust = r.exhaust;
+var takeWhile = r.takeWhile;
+var dropWhile = r.dropWhile;
+var takeUntil = r.takeUntil;
+var skipUntil = r.skipUntil;
+var chunk = r.chunk;
+var bufferTime = r.bufferTime;
+var bufferCount = r.bufferCount;
+var partitionBy = r.partitionBy;
+var windowCount = r.windowCount;
+var windowTime = r.windowTime;
+var windowBy = r.windowBy;
+var groupBy = r.groupBy;
+var transduce = r.transduce;
+var transducers = r.transducers;
+var fold = r.fold;
+var unfold = r.unfold;
+var range = r.range;
+var iterate = r.iterate;
+var repeat = r.repeat;
+var cycle = r.cycle;
+var fromStream = r.fromStream;
+var pipeTo = r.pipeTo;
+var toStream = r.toStream;
+var http = r.http;
+var httpText = r.httpText;
+var httpJSON = r.httpJSON;
+var retry = r.retry;
+var repeatWhen = r.repeatWhen;
+var poll = r.poll;
+var lines = r.lines;
+var ndjson = r.ndjson;
+var csv = r.csv;
+var socket = r.socket;
+var events = r.events;
 
 var assert = require("assert");
+var stream = require("stream");
+var nodeEvents = require("events");
+var nodeHttp = require("http");
+var crypto = require("crypto");
 
 function isAccumulatable(x) {
   return isMethodAt(x, 'accumulate');
 }
 
+function id(x) {
+  return x;
+}
+
 function sum(a, b) {
   return a + b;
 }
@@ -35,23 +113,76 @@ function makeAssertK(value) {
   }
 }
 
-function makeAccumulatableAtInterval(array, interval) {
-  array = array.slice();
+// Accumulate `source`, collecting the items it sends into the returned array,
+// whether they arrive right away or later. The array's `dispose()` disposes
+// of `source`. It isn't enumerable, so the array still compares equal to
+// plain arrays.
+function collect(source) {
+  var items = [];
+  var dispose = accumulate(source, function (accumulated, item) {
+    items.push(item);
+    return accumulated;
+  });
+  Object.defineProperty(items, 'dispose', { value: dispose });
+  return items;
+}
 
-  return accumulatable(function (next, initial) {
-    var accumulated = initial;
-    var id;
+// Shared virtual clock. Tests move time forward by hand with `clock.advance()`.
+var clock = virtualScheduler();
 
-    id = setInterval(function () {
-      if (array.length === 0) {
-        next(accumulated, end);
-        clearInterval(id);
-      }
-      else {
-        accumulated = next(accumulated, array.shift());
-      }
-    }, interval || 10);
+function makeAccumulatableAtInterval(array, interval) {
+  interval = interval || 10;
+
+  var timeline = array.concat([end]).map(function (item, i) {
+    return [(i + 1) * interval, item];
   });
+
+  return fromTimeline(timeline, clock);
+}
+
+// Move the shared clock forward far enough for any test source to end.
+// Returns `promise`.
+function advanced(promise) {
+  clock.advance(1000);
+  return promise;
+}
+
+// Like the DOM, a listener added for the capture phase must be removed with
+// `capture` too. Options given when adding are kept in `options`.
+function makeStubElement() {
+  var element = { listeners: {}, captures: {}, options: {} };
+
+  function isCapture(options) {
+    return typeof options === 'boolean' ? options : !!(options && options.capture);
+  }
+
+  element.addEventListener = function (event, listener, options) {
+    element.listeners[event] = (element.listeners[event] || []).concat([listener]);
+    element.captures[event] = (element.captures[event] || []).concat([isCapture(options)]);
+    element.options[event] = options;
+  };
+
+  element.removeEventListener = function (event, listener, options) {
+    var captures = element.captures[event] || [];
+    var isKept = (element.listeners[event] || []).map(function (l, i) {
+      return l !== listener || captures[i] !== isCapture(options);
+    });
+
+    element.listeners[event] = (element.listeners[event] || []).filter(function (l, i) {
+      return isKept[i];
+    });
+    element.captures[event] = captures.filter(function (c, i) {
+      return isKept[i];
+    });
+  };
+
+  element.dispatch = function (event, e) {
+    (element.listeners[event] || []).slice().forEach(function (listener) {
+      listener(e);
+    });
+  };
+
+  return element;
 }
 
 describe('accumulate()', function () {
@@ -72,6 +203,7 @@ describe('accumulate()', function () {
     accumulate(x, function (accumulated, item) {
       return (item === end) ? (assert.strictEqual(accumulated, 6), done()) : accumulated + item;
     }, 0);
+    clock.advance(1000);
   });
 
   it('should consider nullish values to be empty sources of 0 items', function (done) {
@@ -96,6 +228,7 @@ describe('map()', function () {
     accumulate(a, function (accumulated, item) {
       return item === end ? (assert.strictEqual(accumulated, 3), done()) : accumulated + item;
     }, 0);
+    clock.advance(1000);
   });
 
   it('should never see end tokens', function (done) {
@@ -109,6 +242,7 @@ describe('map()', function () {
     accumulate(a, function(accumulated, item) {
       return item === end ? (assert.strictEqual(accumulated, 5), done()) : accumulated + item;
     }, 0);
+    clock.advance(1000);
   });
 
   it('should map reducibles, too', function (done) {
@@ -207,6 +341,7 @@ describe('append()', function () {
       assert.strictEqual(accumulated, item);
       return accumulated + 1;
     }, 0);
+    clock.advance(1000);
   });
 });
 
@@ -230,6 +365,7 @@ describe('concat()', function () {
       assert.strictEqual(accumulated, item);
       return accumulated + 1;
     }, 0);
+    clock.advance(1000);
   });
 });
 
@@ -249,6 +385,7 @@ describe('reductions()', function () {
       assert.strictEqual(accumulated, item);
       return accumulated + 1;
     }, 1);
+    clock.advance(1000);
   });
 });
 
@@ -283,11 +420,108 @@ describe('take()', function () {
   });
 });
 
+describe('takeWhile()', function () {
+  it('should take items until predicate is false', function () {
+    return toArray(takeWhile([1, 2, 3, 1], function (x) {
+      return x < 3;
+    })).then(function (result) {
+      assert.deepEqual(result, [1, 2]);
+    });
+  });
+
+  it('should stop pulling from source once predicate is false', function () {
+    var pulled = [];
+    var x = map([1, 2, 3, 4], function (x) {
+      pulled.push(x);
+      return x;
+    });
+
+    return toArray(takeWhile(x, function (x) {
+      return x < 2;
+    })).then(function (result) {
+      assert.deepEqual(result, [1]);
+      assert.deepEqual(pulled, [1, 2]);
+    });
+  });
+
+  it('should send exceptions thrown by predicate as error items', function () {
+    var items = collect(takeWhile([1, 2], function (x) {
+      if (x === 1) throw 'boom';
+      return true;
+    }));
+
+    assert(isError(items[0]));
+    assert.strictEqual(items[0].reason, 'boom');
+    assert.deepEqual(items.slice(1), [2, end]);
+  });
+});
+
+describe('dropWhile()', function () {
+  it('should drop items until predicate is false, then keep the rest', function () {
+    return toArray(dropWhile([1, 2, 3, 1], function (x) {
+      return x < 3;
+    })).then(function (result) {
+      assert.deepEqual(result, [3, 1]);
+    });
+  });
+});
+
 describe('hub() transformed accumulateable()', function () {
   it('should allow accumulation from multiple consumers', function () {
     // @TODO
   });
 
+  it('should close its source once every consumer has ended', function () {
+    var element = makeStubElement();
+    var x = on(element, 'click');
+
+    function nextUntilB(accumulated, item) {
+      return item === 'b' ? end : accumulated;
+    }
+
+    accumulate(x, nextUntilB);
+    accumulate(x, nextUntilB);
+    assert.strictEqual(element.listeners.click.length, 1);
+
+    element.dispatch('click', 'a');
+    assert.strictEqual(element.listeners.click.length, 1);
+
+    element.dispatch('click', 'b');
+    assert.strictEqual(element.listeners.click.length, 0);
+  });
+
+  it('should reopen its source when a new consumer arrives after closing', function () {
+    var element = makeStubElement();
+    var x = on(element, 'click');
+
+    accumulate(x, function () { return end; });
+    element.dispatch('click', 'a');
+    assert.strictEqual(element.listeners.click.length, 0);
+
+    var seen = collect(x);
+    element.dispatch('click', 'b');
+
+    assert.deepEqual(seen, ['b']);
+    assert.strictEqual(element.listeners.click.length, 1);
+  });
+
+  it('should throw when strict and source keeps sending after being ended', function () {
+    // A badly behaved source that ignores `end`.
+    var x = accumulatable(function (next, initial) {
+      [0, 1, 2].forEach(function (item) {
+        next(initial, item);
+      });
+    });
+
+    assert.throws(function () {
+      accumulate(hub(x, true), function () { return end; });
+    }, /after being ended/);
+
+    assert.doesNotThrow(function () {
+      accumulate(hub(x), function () { return end; });
+    });
+  });
+
   it('should not continue to send values to consumers who return end', function (done) {
     var x = hub(makeAccumulatableAtInterval([0, 1, 2, 3]));
 
@@ -310,5 +544,2606 @@ describe('hub() transformed accumulateable()', function () {
 
       return accumulated + 1;
     }, 0);
+    clock.advance(1000);
+  });
+});
+
+
+describe('error()', function () {
+  it('should create items that isError() recognizes', function () {
+    var e = error('reason');
+    assert(isError(e));
+    assert.strictEqual(e.reason, 'reason');
+    assert(!isError('reason'));
+  });
+
+  it('should be forwarded untouched by map, filter and take', function (done) {
+    var e = error('reason');
+    var x = take(filter(map([1, e, 2, 3], function (item) {
+      return item * 2;
+    }), function (item) {
+      return item > 0;
+    }), 2);
+
+    accumulate(x, function (accumulated, item) {
+      if (item === end) {
+        assert.deepEqual(accumulated, [2, e, 4]);
+        done();
+        return accumulated;
+      }
+
+      return accumulated.concat([item]);
+    }, []);
+  });
+
+  it('should be forwarded by merge', function (done) {
+    var e = error('reason');
+    var x = merge([[1, e], e]);
+
+    accumulate(x, function (accumulated, item) {
+      if (item === end) {
+        assert.deepEqual(accumulated, [1, e, e]);
+        done();
+        return accumulated;
+      }
+
+      return accumulated.concat([item]);
+    }, []);
+  });
+
+  it('should be sent in place of exceptions thrown by transformation functions', function (done) {
+    var x = map([1, 2, 3], function (item) {
+      if (item === 2) throw new Error('bad record');
+      return item;
+    });
+
+    accumulate(x, function (accumulated, item) {
+      if (item === end) {
+        assert.strictEqual(accumulated.length, 3);
+        assert.strictEqual(accumulated[0], 1);
+        assert.strictEqual(accumulated[1].reason.message, 'bad record');
+        assert.strictEqual(accumulated[2], 3);
+        done();
+        return accumulated;
+      }
+
+      return accumulated.concat([item]);
+    }, []);
+  });
+
+  it('should not catch exceptions thrown downstream', function () {
+    var x = map([1, 2, 3], function (item) { return item; });
+
+    assert.throws(function () {
+      accumulate(x, function () {
+        throw new Error('downstream');
+      });
+    }, /downstream/);
+  });
+});
+
+describe('recover()', function () {
+  it('should swap in the fallback source after an error', function (done) {
+    var x = makeAccumulatableAtInterval([0, 1, error('reason'), 5]);
+
+    var y = recover(x, function (reason) {
+      assert.strictEqual(reason, 'reason');
+      return [2, 3];
+    });
+
+    accumulate(y, function (accumulated, item) {
+      if (item === end) {
+        assert.strictEqual(accumulated, 4);
+        done();
+        return accumulated;
+      }
+
+      assert.strictEqual(accumulated, item);
+      return accumulated + 1;
+    }, 0);
+    clock.advance(1000);
+  });
+
+  it('should pass sources without errors through', function (done) {
+    var y = recover([0, 1, 2], function () {
+      throw new Error('Recovered without error');
+    });
+
+    accumulate(y, function (accumulated, item) {
+      if (item === end) {
+        assert.strictEqual(accumulated, 3);
+        done();
+        return accumulated;
+      }
+
+      return accumulated + 1;
+    }, 0);
+  });
+});
+
+
+describe('disposal', function () {
+  it('should return a disposer from accumulate() for any source', function () {
+    assert.strictEqual(typeof accumulate([0, 1, 2], sum, 0), 'function');
+    assert.strictEqual(typeof accumulate(null, sum, 0), 'function');
+    assert.strictEqual(typeof accumulate(makeAccumulatableAtInterval([0]), sum, 0), 'function');
+  });
+
+  it('should stop sources immediately, cascading through transforms', function () {
+    var x = take(map(makeAccumulatableAtInterval([0, 1, 2, 3, 4]), function (item) {
+      return item * 2;
+    }), 4);
+
+    var seen = [];
+
+    var dispose = accumulate(x, function (accumulated, item) {
+      seen.push(item);
+      if (item === 2) dispose();
+      return accumulated;
+    });
+
+    clock.advance(1000);
+    assert.deepEqual(seen, [0, 2]);
+  });
+
+  it('should dispose every open source of merge()', function () {
+    var a = makeAccumulatableAtInterval([0, 1, 2, 3], 10);
+    var b = makeAccumulatableAtInterval([4, 5, 6, 7], 10);
+    var seen = collect(merge([a, b]));
+
+    clock.advance(25);
+    seen.dispose();
+    clock.advance(1000);
+
+    assert.deepEqual(seen, [0, 4, 1, 5]);
+  });
+
+  it('should stop opening sources in merge() once consumer ends', function () {
+    var opened = 0;
+    var sources = map(range(), function (n) {
+      opened = opened + 1;
+      return [n, n + 1];
+    });
+
+    return toArray(take(merge(sources), 1)).then(function (result) {
+      assert.deepEqual(result, [0]);
+      assert.strictEqual(opened, 1);
+    });
+  });
+
+  it('should remove a consumer from hub() without ending other consumers', function (done) {
+    var x = hub(makeAccumulatableAtInterval([0, 1, 2, 3]));
+
+    var dispose = accumulate(x, function (accumulated, item) {
+      if (item !== 0) throw new Error('Item sent after consumer was disposed');
+      dispose();
+      return accumulated;
+    });
+
+    accumulate(x, function (accumulated, item) {
+      if (item === end) {
+        assert.strictEqual(accumulated, 4);
+        done();
+        return accumulated;
+      }
+
+      return accumulated + 1;
+    }, 0);
+    clock.advance(1000);
+  });
+
+  it('should remove event listeners of on()', function () {
+    var element = makeStubElement();
+    var seen = collect(on(element, 'click'));
+
+    element.dispatch('click', 'a');
+    seen.dispose();
+    element.dispatch('click', 'b');
+
+    assert.deepEqual(seen, ['a']);
+    assert.strictEqual(element.listeners.click.length, 0);
+  });
+});
+
+
+describe('replay()', function () {
+  it('should replay every item and end to consumers that arrive after source has ended', function (done) {
+    var x = replay(makeAccumulatableAtInterval([0, 1, 2]));
+
+    accumulate(x, function (accumulated, item) {
+      if (item !== end) return accumulated;
+
+      accumulate(x, function (accumulated, item) {
+        if (item === end) {
+          assert.deepEqual(accumulated, [0, 1, 2]);
+          done();
+          return accumulated;
+        }
+
+        return accumulated.concat([item]);
+      }, []);
+    });
+    clock.advance(1000);
+  });
+
+  it('should replay the last n items, followed by live items', function () {
+    var element = makeStubElement();
+    var x = replay(on(element, 'click'), 2);
+
+    accumulate(x, id);
+    element.dispatch('click', 'a');
+    element.dispatch('click', 'b');
+    element.dispatch('click', 'c');
+
+    var seen = collect(x);
+    element.dispatch('click', 'd');
+
+    assert.deepEqual(seen, ['b', 'c', 'd']);
+  });
+
+  it('should start over, without replaying, after every consumer ended early', function () {
+    var x = replay([1, 2, 3]);
+
+    return toArray(take(x, 1)).then(function (first) {
+      assert.deepEqual(first, [1]);
+      return toArray(x);
+    }).then(function (second) {
+      assert.deepEqual(second, [1, 2, 3]);
+    });
+  });
+});
+
+describe('latest()', function () {
+  it('should send new consumers the latest item first', function () {
+    var element = makeStubElement();
+    var x = latest(on(element, 'click'), 'initial');
+    var seen = [];
+
+    accumulate(x, function (accumulated, item) {
+      seen.push(item);
+      return accumulated;
+    });
+
+    element.dispatch('click', 'a');
+    element.dispatch('click', 'b');
+
+    accumulate(x, function (accumulated, item) {
+      seen.push(item);
+      return accumulated;
+    });
+
+    assert.deepEqual(seen, ['initial', 'a', 'b', 'b']);
+  });
+});
+
+
+describe('channel()', function () {
+  it('should send put items, errors and end to every consumer', function () {
+    var c = channel();
+    var a = collect(c);
+    var b = collect(c);
+
+    c.put(1);
+    c.error('reason');
+    c.close();
+
+    assert.strictEqual(c.put(2), false);
+    assert.deepEqual(a, b);
+    assert.strictEqual(a.length, 3);
+    assert.strictEqual(a[0], 1);
+    assert.strictEqual(a[1].reason, 'reason');
+    assert.strictEqual(a[2], end);
+  });
+
+  it('should buffer items put before anyone is listening', function () {
+    var c = channel();
+    c.put(1);
+    c.put(2);
+    c.close();
+
+    assert.deepEqual(collect(c), [1, 2, end]);
+  });
+
+  it('should keep the rest of the buffer when a consumer ends during the flush', function () {
+    var c = channel();
+    c.put(1);
+    c.put(2);
+    c.put(3);
+
+    assert.deepEqual(collect(take(c, 1)), [1, end]);
+    assert.deepEqual(collect(c), [2, 3]);
+  });
+
+  it('should drop new items when dropping buffer is full', function () {
+    var c = channel(2, 'dropping');
+    assert.strictEqual(c.put(1), true);
+    assert.strictEqual(c.put(2), true);
+    assert.strictEqual(c.put(3), false);
+
+    assert.deepEqual(collect(c), [1, 2]);
+  });
+
+  it('should drop oldest items when sliding buffer is full', function () {
+    var c = channel(2, 'sliding');
+    c.put(1);
+    c.put(2);
+    c.put(3);
+
+    assert.deepEqual(collect(c), [2, 3]);
+  });
+
+  it('should throw when fixed buffer is full', function () {
+    var c = channel(1);
+    c.put(1);
+
+    assert.throws(function () {
+      c.put(2);
+    }, /full/);
+  });
+
+  it('should buffer again once every consumer has ended', function () {
+    var c = channel();
+
+    accumulate(c, function () { return end; });
+    c.put(1);
+    c.put(2);
+
+    assert.deepEqual(collect(c), [2]);
+  });
+});
+
+
+describe('toPromise()', function () {
+  it('should resolve with the reduction when source ends', function () {
+    return advanced(toPromise(makeAccumulatableAtInterval([1, 2, 3]), sum, 0)).then(function (result) {
+      assert.strictEqual(result, 6);
+    });
+  });
+
+  it('should reject with the reason of an error item', function () {
+    return toPromise([1, error('reason'), 3], sum, 0).then(function () {
+      throw new Error('Promise was resolved');
+    }, function (reason) {
+      assert.strictEqual(reason, 'reason');
+    });
+  });
+});
+
+describe('into()', function () {
+  it('should add items to collection', function () {
+    return into([1, 2], [0]).then(function (result) {
+      assert.deepEqual(result, [0, 1, 2]);
+    });
+  });
+
+  it('should add items to collections with an add method', function () {
+    return into([1, 2, 2], new Set()).then(function (result) {
+      assert.strictEqual(result.size, 2);
+    });
+  });
+});
+
+describe('toArray()', function () {
+  it('should collect items into an array', function () {
+    return advanced(toArray(makeAccumulatableAtInterval([1, 2, 3]))).then(function (result) {
+      assert.deepEqual(result, [1, 2, 3]);
+    });
+  });
+});
+
+describe('first() and last()', function () {
+  it('should resolve with the first item of a source', function () {
+    return advanced(first(makeAccumulatableAtInterval([1, 2, 3]))).then(function (result) {
+      assert.strictEqual(result, 1);
+    });
+  });
+
+  it('should resolve with the last item of a source', function () {
+    return advanced(last(makeAccumulatableAtInterval([1, 2, 3]))).then(function (result) {
+      assert.strictEqual(result, 3);
+    });
+  });
+});
+
+describe('fromPromise()', function () {
+  it('should send the value of a promise, followed by end', function () {
+    return toArray(fromPromise(Promise.resolve(1))).then(function (result) {
+      assert.deepEqual(result, [1]);
+    });
+  });
+
+  it('should send an error item for rejected promises', function (done) {
+    accumulate(fromPromise(Promise.reject('reason')), function (accumulated, item) {
+      if (item === end) {
+        assert.strictEqual(accumulated.length, 1);
+        assert.strictEqual(accumulated[0].reason, 'reason');
+        done();
+        return accumulated;
+      }
+
+      return accumulated.concat([item]);
+    }, []);
+  });
+});
+
+
+describe('accumulate() with iterables', function () {
+  it('should accumulate iterables like Sets, Maps and strings', function () {
+    return Promise.all([
+      toArray(new Set([1, 2, 3])),
+      toArray(new Map([['a', 1]])),
+      toArray('abc'),
+      toArray('')
+    ]).then(function (results) {
+      assert.deepEqual(results, [[1, 2, 3], [['a', 1]], ['a', 'b', 'c'], []]);
+    });
+  });
+
+  it('should stop pulling from generators when next returns end', function () {
+    var pulled = 0;
+    var isFinallyRun = false;
+
+    function* naturals() {
+      try {
+        for (var i = 0; true; i++) {
+          pulled = pulled + 1;
+          yield i;
+        }
+      }
+      finally {
+        isFinallyRun = true;
+      }
+    }
+
+    return toArray(take(naturals(), 3)).then(function (result) {
+      assert.deepEqual(result, [0, 1, 2]);
+      assert.strictEqual(pulled, 3);
+      assert(isFinallyRun);
+    });
+  });
+
+  it('should accumulate async generators', function () {
+    async function* count() {
+      yield 1;
+      yield 2;
+      yield 3;
+    }
+
+    return toArray(take(count(), 2)).then(function (result) {
+      assert.deepEqual(result, [1, 2]);
+    });
+  });
+
+  it('should send an error item when an async iterable rejects', function () {
+    async function* fail() {
+      yield 1;
+      throw new Error('reason');
+    }
+
+    return toArray(fail()).then(function () {
+      throw new Error('Promise was resolved');
+    }, function (reason) {
+      assert.strictEqual(reason.message, 'reason');
+    });
+  });
+});
+
+describe('toAsyncIterator()', function () {
+  it('should make accumulatables consumable with for await', async function () {
+    var iterator = toAsyncIterator(makeAccumulatableAtInterval([1, 2, 3]));
+
+    async function pullAll() {
+      var result = [];
+      for await (var item of iterator) {
+        result.push(item);
+      }
+      return result;
+    }
+
+    assert.deepEqual(await advanced(pullAll()), [1, 2, 3]);
+  });
+
+  it('should not open source until the first pull', function () {
+    var element = makeStubElement();
+    var iterator = toAsyncIterator(on(element, 'click'));
+
+    assert.strictEqual(element.listeners.click, undefined);
+    iterator.next();
+    assert.strictEqual(element.listeners.click.length, 1);
+  });
+
+  it('should dispose of source on break', async function () {
+    var element = makeStubElement();
+    var x = on(element, 'click');
+    var iterator = toAsyncIterator(x);
+    var pulled = iterator.next();
+
+    element.dispatch('click', 'a');
+    element.dispatch('click', 'b');
+
+    assert.deepEqual(await pulled, { value: 'a', done: false });
+
+    for await (var item of iterator) {
+      assert.strictEqual(item, 'b');
+      break;
+    }
+
+    assert.strictEqual(element.listeners.click.length, 0);
+  });
+
+  it('should only pull from sync sources as items are wanted', async function () {
+    var pulled = 0;
+
+    function* naturals() {
+      for (var i = 0; true; i++) {
+        pulled = pulled + 1;
+        yield i;
+      }
+    }
+
+    var result = [];
+    for await (var item of toAsyncIterator(naturals())) {
+      result.push(item);
+      if (result.length === 3) break;
+    }
+
+    assert.deepEqual(result, [0, 1, 2]);
+    assert.strictEqual(pulled, 3);
+  });
+
+  it('should throw on error items', async function () {
+    var iterator = toAsyncIterator([1, error('reason'), 2]);
+
+    assert.deepEqual(await iterator.next(), { value: 1, done: false });
+    await assert.rejects(iterator.next(), function (reason) {
+      return reason === 'reason';
+    });
+    assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+  });
+});
+
+
+describe('accumulate() with early termination', function () {
+  it('should stop stepping through large arrays when next returns end', function () {
+    var array = new Array(1e6).fill(0);
+    var mapped = 0;
+
+    var x = take(map(array, function (item) {
+      mapped = mapped + 1;
+      return item;
+    }), 2);
+
+    accumulate(x, id);
+    assert.strictEqual(mapped, 2);
+  });
+
+  it('should step through typed arrays and array-likes', function () {
+    function args() {
+      return arguments;
+    }
+
+    return Promise.all([
+      toArray(take(new Uint8Array([1, 2, 3]), 2)),
+      toArray(args(1, 2, 3)),
+      toArray([1, , 3])
+    ]).then(function (results) {
+      assert.deepEqual(results, [[1, 2], [1, 2, 3], [1, 3]]);
+    });
+  });
+
+  it('should accumulate other objects with a length as single items', function () {
+    var thing = { length: 3, name: 'x' };
+
+    return toArray(thing).then(function (result) {
+      assert.deepEqual(result, [thing]);
+    });
+  });
+
+  it('should hand reducibles reduced() when next returns end', function () {
+    var stepped = 0;
+
+    var reducible = {
+      reduce: function (next, initial) {
+        var accumulated = initial;
+        for (var i = 0; i < 100; i++) {
+          stepped = stepped + 1;
+          accumulated = next(accumulated, i);
+          if (isReduced(accumulated)) return accumulated;
+        }
+        return accumulated;
+      }
+    };
+
+    return toArray(take(reducible, 3)).then(function (result) {
+      assert.deepEqual(result, [0, 1, 2]);
+      assert.strictEqual(stepped, 3);
+    });
+  });
+
+  it('should not call next again for reducibles that ignore reduced()', function () {
+    var seen = [];
+
+    accumulate({ reduce: Array.prototype.reduce.bind([0, 1, 2, 3]) }, function (accumulated, item) {
+      seen.push(item);
+      return item === 1 ? end : accumulated;
+    });
+
+    assert.deepEqual(seen, [0, 1]);
+  });
+});
+
+
+describe('virtualScheduler()', function () {
+  it('should run callbacks in time order as time is advanced', function () {
+    var v = virtualScheduler();
+    var seen = [];
+
+    v.delay(function () { seen.push(['b', v.now()]); }, 20);
+    v.delay(function () { seen.push(['a', v.now()]); }, 10);
+    var cancel = v.delay(function () { seen.push(['c', v.now()]); }, 15);
+    cancel();
+
+    v.advance(15);
+    assert.deepEqual(seen, [['a', 10]]);
+    assert.strictEqual(v.now(), 15);
+
+    v.advance(15);
+    assert.deepEqual(seen, [['a', 10], ['b', 20]]);
+  });
+});
+
+describe('marbles()', function () {
+  it('should describe a timeline with a diagram', function () {
+    var timeline = marbles('-a-b-#|', { a: 1, '#': 'reason' });
+
+    assert.deepEqual(timeline.slice(0, 2), [[10, 1], [30, 'b']]);
+    assert.strictEqual(timeline[2][0], 50);
+    assert.strictEqual(timeline[2][1].reason, 'reason');
+    assert.deepEqual(timeline[3], [60, end]);
+  });
+});
+
+describe('record() and fromTimeline()', function () {
+  it('should play back and record items with their timing', function () {
+    var v = virtualScheduler();
+    var recorded = record(fromTimeline(marbles('-a--b|'), v), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, marbles('-a--b|'));
+  });
+});
+
+describe('frames()', function () {
+  it('should send frame times until ms have passed', function () {
+    var v = virtualScheduler(10);
+    var recorded = record(frames(30, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[10, 10], [20, 20], [30, 30], [30, end]]);
+  });
+});
+
+describe('debounce()', function () {
+  it('should only send items followed by a quiet period', function () {
+    var v = virtualScheduler();
+    var x = fromTimeline(marbles('-a-b----c-|'), v);
+    var recorded = record(debounce(x, 20, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[50, 'b'], [100, 'c'], [100, end]]);
+  });
+
+  it('should cancel its timer when consumer ends', function () {
+    var v = virtualScheduler();
+    var x = fromTimeline(marbles('-a-b-c|'), v);
+    var seen = [];
+
+    accumulate(debounce(x, 5, v), function (accumulated, item) {
+      seen.push(item);
+      return end;
+    });
+
+    v.advance(1000);
+    assert.deepEqual(seen, ['a']);
+  });
+});
+
+describe('throttle()', function () {
+  it('should send at most one item per period', function () {
+    var v = virtualScheduler();
+    var x = fromTimeline(marbles('-abcdef|'), v);
+    var recorded = record(throttle(x, 25, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, marbles('-a--d--|'));
+  });
+});
+
+describe('delay()', function () {
+  it('should send items after a delay, in order', function () {
+    var v = virtualScheduler();
+    var recorded = record(delay(fromTimeline(marbles('-a-b|'), v), 30, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, marbles('----a-b|'));
+  });
+});
+
+describe('interval()', function () {
+  it('should count up until consumer ends', function () {
+    var v = virtualScheduler();
+    var recorded = record(take(interval(10, v), 3), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[10, 0], [20, 1], [30, 2], [30, end]]);
+  });
+});
+
+describe('timer()', function () {
+  it('should send one item, then end', function () {
+    var v = virtualScheduler();
+    var recorded = record(timer(50, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[50, 0], [50, end]]);
+  });
+});
+
+describe('timeout()', function () {
+  it('should send an error if nothing arrives in time', function () {
+    var v = virtualScheduler();
+    var element = makeStubElement();
+    var recorded = record(timeout(on(element, 'click'), 10, undefined, v), v);
+
+    v.advance(1000);
+    assert.strictEqual(recorded.length, 2);
+    assert(/Timed out/.test(recorded[0][1].reason.message));
+    assert.deepEqual(recorded[1], [10, end]);
+    assert.strictEqual(element.listeners.click.length, 0);
+  });
+
+  it('should swap in fallback if nothing arrives in time', function () {
+    var v = virtualScheduler();
+    var x = fromTimeline(marbles('-a---b|'), v);
+    var recorded = record(timeout(x, 20, ['fallback'], v), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[10, 'a'], [30, 'fallback'], [30, end]]);
+  });
+
+  it('should end quietly with a null fallback', function () {
+    var v = virtualScheduler();
+    var x = fromTimeline(marbles('-a---b|'), v);
+    var recorded = record(timeout(x, 20, null, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[10, 'a'], [30, end]]);
+  });
+
+  it('should pass sources that arrive in time through', function () {
+    var v = virtualScheduler();
+    var x = fromTimeline(marbles('-a-b|'), v);
+    var recorded = record(timeout(x, 30, undefined, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, marbles('-a-b|'));
+  });
+});
+
+
+describe('zip()', function () {
+  it('should zip items of sources into arrays, ending with the shortest', function () {
+    var v = virtualScheduler();
+    var a = fromTimeline(marbles('-a--b--c|'), v);
+    var b = fromTimeline(marbles('--1-2|'), v);
+    var recorded = record(zip([a, b]), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[20, ['a', '1']], [40, ['b', '2']], [50, end]]);
+  });
+
+  it('should dispose of remaining sources when it ends', function () {
+    var element = makeStubElement();
+    var result = toArray(zip([[1, 2], on(element, 'click')]));
+
+    element.dispatch('click', 'a');
+    element.dispatch('click', 'b');
+    assert.strictEqual(element.listeners.click.length, 0);
+
+    return result.then(function (result) {
+      assert.deepEqual(result, [[1, 'a'], [2, 'b']]);
+    });
+  });
+});
+
+describe('combineLatest()', function () {
+  it('should assemble the latest items once every source has sent one', function () {
+    var v = virtualScheduler();
+    var a = fromTimeline(marbles('-a---b|'), v);
+    var b = fromTimeline(marbles('---1---2|'), v);
+    var recorded = record(combineLatest([a, b], function (x, y) {
+      return x + y;
+    }), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, marbles('---x-y-z|', { x: 'a1', y: 'b1', z: 'b2' }));
+  });
+
+  it('should end right away if a source ends without sending an item', function () {
+    return toArray(combineLatest([[1, 2], null])).then(function (result) {
+      assert.deepEqual(result, []);
+    });
+  });
+});
+
+describe('withLatestFrom()', function () {
+  it('should combine items with the latest items of others', function () {
+    var v = virtualScheduler();
+    var a = fromTimeline(marbles('-a--b--c|'), v);
+    var b = fromTimeline(marbles('--1--2|'), v);
+    var recorded = record(withLatestFrom(a, [b]), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[40, ['b', '1']], [70, ['c', '2']], [80, end]]);
+  });
+});
+
+describe('race()', function () {
+  it('should mirror the first source to send an item and dispose of the rest', function () {
+    var v = virtualScheduler();
+    var element = makeStubElement();
+    var a = fromTimeline(marbles('---a|'), v);
+    var b = fromTimeline(marbles('-1--2|'), v);
+    var recorded = record(race([a, b, on(element, 'click')]), v);
+
+    assert.strictEqual(element.listeners.click.length, 1);
+    v.advance(1000);
+    assert.deepEqual(recorded, marbles('-1--2|'));
+    assert.strictEqual(element.listeners.click.length, 0);
+  });
+});
+
+
+describe('mapcat()', function () {
+  it('should map items to sources and concatenate them', function () {
+    return toArray(mapcat([1, 2], function (x) {
+      return [x, x * 10];
+    })).then(function (result) {
+      assert.deepEqual(result, [1, 10, 2, 20]);
+    });
+  });
+
+  it('should send items as they arrive from infinite sources', function () {
+    var v = virtualScheduler();
+    var x = mapcat(interval(10, v), function (i) {
+      return [i, i];
+    });
+    var recorded = record(take(x, 3), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[10, 0], [10, 0], [20, 1], [20, end]]);
+  });
+});
+
+describe('mergeLimit()', function () {
+  it('should open at most n sources at once', function () {
+    var v = virtualScheduler();
+    var a = fromTimeline(marbles('-a-a|'), v);
+    var b = fromTimeline(marbles('-b|'), v);
+    var c = fromTimeline(marbles('-c|'), v);
+    var recorded = record(mergeLimit([a, b, c], 2), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[10, 'a'], [10, 'b'], [30, 'a'], [30, 'c'], [40, end]]);
+  });
+
+  it('should throw when n is less than 1', function () {
+    [0, -1, NaN].forEach(function (n) {
+      assert.throws(function () {
+        mergeLimit([[1]], n);
+      }, RangeError);
+    });
+  });
+
+  it('should open many queued sync sources without growing the stack', function () {
+    var v = virtualScheduler();
+    var sources = [fromTimeline(marbles('-a|'), v)];
+    for (var i = 0; i < 20000; i++) sources.push([i]);
+
+    var result = toArray(mergeLimit(sources, 1));
+    v.advance(1000);
+
+    return result.then(function (items) {
+      assert.strictEqual(items.length, 20001);
+      assert.strictEqual(items[20000], 19999);
+    });
+  });
+});
+
+describe('switchLatest()', function () {
+  it('should switch to the latest source, disposing of the previous one', function () {
+    var v = virtualScheduler();
+    var a = fromTimeline(marbles('-a-a-a|'), v);
+    var b = fromTimeline(marbles('-b-b|'), v);
+    var x = fromTimeline([[0, a], [25, b], [40, end]], v);
+    var recorded = record(switchLatest(x), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[10, 'a'], [35, 'b'], [55, 'b'], [65, end]]);
+  });
+});
+
+describe('exhaust()', function () {
+  it('should ignore new sources while one is open', function () {
+    var v = virtualScheduler();
+    var a = fromTimeline(marbles('-a-a|'), v);
+    var b = fromTimeline(marbles('-b|'), v);
+    var c = fromTimeline(marbles('-c|'), v);
+    var x = fromTimeline([[0, a], [20, b], [50, c], [60, end]], v);
+    var recorded = record(exhaust(x), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[10, 'a'], [30, 'a'], [60, 'c'], [70, end]]);
+  });
+});
+
+describe('takeUntil()', function () {
+  it('should take items until notifier sends an item, then dispose of both', function () {
+    var v = virtualScheduler();
+    var element = makeStubElement();
+    var a = fromTimeline(marbles('-a-a-a-a|'), v);
+    var recorded = record(takeUntil(on(element, 'mousemove'), a), v);
+
+    element.dispatch('mousemove', 1);
+    v.advance(15);
+    element.dispatch('mousemove', 2);
+    v.advance(1000);
+
+    assert.deepEqual(recorded, [[0, 1], [10, end]]);
+    assert.strictEqual(element.listeners.mousemove.length, 0);
+  });
+
+  it('should end with source', function () {
+    var v = virtualScheduler();
+    var notifier = fromTimeline(marbles('-----x|'), v);
+    var source = fromTimeline(marbles('-a-a|'), v);
+    var recorded = record(takeUntil(source, notifier), v);
+
+    v.advance(1000);
+
+    assert.deepEqual(recorded, [[10, 'a'], [30, 'a'], [40, end]]);
+  });
+
+  it('should keep going if notifier ends without sending an item', function () {
+    var v = virtualScheduler();
+    var source = fromTimeline(marbles('-a---a|'), v);
+    var recorded = record(takeUntil(source, []), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[10, 'a'], [50, 'a'], [60, end]]);
+  });
+
+  it('should forward error items from notifier', function () {
+    var v = virtualScheduler();
+    var source = fromTimeline(marbles('-a|'), v);
+    var recorded = record(takeUntil(source, [error('boom')]), v);
+
+    v.advance(1000);
+    assert.strictEqual(recorded[0][1].reason, 'boom');
+    assert.deepEqual(recorded.slice(1), [[10, 'a'], [20, end]]);
+  });
+});
+
+describe('skipUntil()', function () {
+  it('should skip items until notifier sends an item', function () {
+    var v = virtualScheduler();
+    var source = fromTimeline(marbles('-a-b-c|'), v);
+    var notifier = fromTimeline(marbles('--x-x|'), v);
+    var recorded = record(skipUntil(source, notifier), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[30, 'b'], [50, 'c'], [60, end]]);
+  });
+
+  it('should dispose of notifier when source ends', function () {
+    var element = makeStubElement();
+
+    return toArray(skipUntil([1, 2], on(element, 'click'))).then(function (result) {
+      assert.deepEqual(result, []);
+      assert.strictEqual(element.listeners.click.length, 0);
+    });
+  });
+
+  it('should forward error items from notifier while skipping', function () {
+    var v = virtualScheduler();
+    var source = fromTimeline(marbles('-a|'), v);
+    var recorded = record(skipUntil(source, [error('boom')]), v);
+
+    v.advance(1000);
+    assert.strictEqual(recorded[0][1].reason, 'boom');
+    assert.deepEqual(recorded.slice(1), [[20, end]]);
+  });
+});
+
+describe('chunk()', function () {
+  it('should send arrays of n items, flushing the remainder at end', function () {
+    return toArray(chunk([1, 2, 3, 4, 5], 2)).then(function (result) {
+      assert.deepEqual(result, [[1, 2], [3, 4], [5]]);
+    });
+  });
+
+  it('should send error items right away', function () {
+    return toArray(recover(chunk([1, error('boom'), 2], 2), function (reason) {
+      return [reason];
+    })).then(function (result) {
+      assert.deepEqual(result, ['boom']);
+    });
+  });
+
+  it('should stop pulling from source when consumer ends', function () {
+    var pulled = [];
+    var x = map([1, 2, 3, 4, 5], function (x) {
+      pulled.push(x);
+      return x;
+    });
+
+    return toArray(take(chunk(x, 2), 1)).then(function (result) {
+      assert.deepEqual(result, [[1, 2]]);
+      assert.deepEqual(pulled, [1, 2]);
+    });
+  });
+});
+
+describe('bufferTime()', function () {
+  it('should send the items that arrive within ms of the first', function () {
+    var v = virtualScheduler();
+    var source = fromTimeline(marbles('-ab---c-d|'), v);
+    var recorded = record(bufferTime(source, 25, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[35, ['a', 'b']], [85, ['c', 'd']], [90, end]]);
+  });
+
+  it('should cancel its timer when consumer ends', function () {
+    var v = virtualScheduler();
+    var element = makeStubElement();
+    var recorded = record(take(bufferTime(on(element, 'click'), 25, v), 1), v);
+
+    element.dispatch('click', 1);
+    v.advance(30);
+    element.dispatch('click', 2);
+
+    assert.deepEqual(recorded, [[25, [1]], [25, end]]);
+    assert.strictEqual(element.listeners.click.length, 0);
+  });
+});
+
+describe('bufferCount()', function () {
+  it('should send arrays when they are full, or ms after their first item', function () {
+    var v = virtualScheduler();
+    var source = fromTimeline(marbles('-abc-----d|'), v);
+    var recorded = record(bufferCount(source, 2, 25, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[20, ['a', 'b']], [55, ['c']], [100, ['d']], [100, end]]);
+  });
+});
+
+describe('partitionBy()', function () {
+  it('should start a new array whenever the key changes', function () {
+    return toArray(partitionBy([1, 3, 2, 4, 5], function (x) {
+      return x % 2;
+    })).then(function (result) {
+      assert.deepEqual(result, [[1, 3], [2, 4], [5]]);
+    });
+  });
+});
+
+describe('windowCount()', function () {
+  it('should send sources of n items', function () {
+    return toArray(map(windowCount([1, 2, 3, 4, 5], 2), toArray)).then(function (windows) {
+      return Promise.all(windows);
+    }).then(function (result) {
+      assert.deepEqual(result, [[1, 2], [3, 4], [5]]);
+    });
+  });
+
+  it('should fill an open window after consumer ends', function () {
+    return first(take(windowCount([1, 2, 3, 4, 5], 2), 1)).then(toArray).then(function (result) {
+      assert.deepEqual(result, [1, 2]);
+    });
+  });
+});
+
+describe('windowTime()', function () {
+  it('should send sources of the items that arrive within ms of the first', function () {
+    var v = virtualScheduler();
+    var source = fromTimeline(marbles('-ab---c|'), v);
+    var windows = [];
+
+    accumulate(windowTime(source, 25, v), function (_, item) {
+      if (item !== end) windows.push(record(item, v));
+    });
+
+    v.advance(1000);
+    // Times are relative to when each window was sent.
+    assert.deepEqual(windows, [
+      [[0, 'a'], [10, 'b'], [25, end]],
+      [[0, 'c'], [10, end]]
+    ]);
+  });
+});
+
+describe('windowBy()', function () {
+  it('should send a source for each run of items with the same key', function () {
+    return toArray(map(windowBy(['a', 'b', 1, 2, 'c'], function (x) {
+      return typeof x;
+    }), toArray)).then(function (windows) {
+      return Promise.all(windows);
+    }).then(function (result) {
+      assert.deepEqual(result, [['a', 'b'], [1, 2], ['c']]);
+    });
+  });
+});
+
+describe('groupBy()', function () {
+  function parity(x) {
+    return x % 2 ? 'odd' : 'even';
+  }
+
+  it('should send a [key, group] pair for each key', function () {
+    var items = [];
+
+    accumulate(groupBy([1, 2, 3, 4], parity), function (_, item) {
+      if (item === end) return items.push(item);
+      items.push(item[0]);
+      accumulate(item[1], function (_, x) {
+        items.push(x);
+      });
+    });
+
+    assert.deepEqual(items, ['odd', 1, 'even', 2, 3, 4, end, end, end]);
+  });
+
+  it('should flatten back together with merge() and concat()', function () {
+    function double(pair) {
+      return map(pair[1], function (x) {
+        return x * 2;
+      });
+    }
+
+    var merged = toArray(merge(map(groupBy([1, 2, 3, 4], parity), double)));
+    var concatenated = toArray(concat(map(groupBy([1, 2, 3, 4], parity), double)));
+
+    return Promise.all([merged, concatenated]).then(function (results) {
+      assert.deepEqual(results[0], [2, 4, 6, 8]);
+      assert.deepEqual(results[1], [2, 6, 4, 8]);
+    });
+  });
+
+  it('should allow groups to be accumulated by many consumers', function () {
+    var element = makeStubElement();
+    var a = [];
+    var b = [];
+
+    accumulate(groupBy(on(element, 'message'), function (e) {
+      return e.user;
+    }), function (_, pair) {
+      accumulate(pair[1], function (_, e) {
+        a.push(e.text);
+      });
+      accumulate(pair[1], function (_, e) {
+        b.push(e.text);
+      });
+    });
+
+    element.dispatch('message', { user: 'ann', text: 'hi' });
+    element.dispatch('message', { user: 'ann', text: 'bye' });
+
+    assert.deepEqual(a, ['hi', 'bye']);
+    assert.deepEqual(b, ['bye']);
+  });
+
+  it('should keep feeding open groups after consumer ends', function () {
+    var items = [];
+
+    accumulate(take(groupBy([1, 2, 3, 4], parity), 1), function (_, pair) {
+      if (pair === end) return;
+      accumulate(pair[1], function (_, x) {
+        items.push(x);
+      });
+    });
+
+    assert.deepEqual(items, [1, 3, end]);
+  });
+
+  it('should stop source once consumer and every group consumer have ended', function () {
+    var keyed = 0;
+    var x = groupBy(range(), function (n) {
+      keyed = keyed + 1;
+      return parity(n);
+    });
+
+    return toArray(take(x, 1)).then(function (pairs) {
+      assert.strictEqual(keyed, 1);
+      // Groups end, but keep what they had buffered for a late consumer.
+      return toArray(pairs[0][1]);
+    }).then(function (result) {
+      assert.deepEqual(result, [0]);
+    });
+  });
+
+  it('should drop items for groups whose consumers have ended', function () {
+    var element = makeStubElement();
+    var pairs = [];
+
+    accumulate(groupBy(on(element, 'message'), id), function (_, pair) {
+      pairs.push(pair);
+    });
+
+    element.dispatch('message', 'a');
+    var first = toArray(take(pairs[0][1], 1));
+    element.dispatch('message', 'a');
+    element.dispatch('message', 'a');
+
+    var later = [];
+    accumulate(pairs[0][1], function (_, item) {
+      later.push(item);
+    });
+    element.dispatch('message', 'a');
+
+    return first.then(function (result) {
+      assert.deepEqual(result, ['a']);
+      assert.deepEqual(later, ['a']);
+    });
+  });
+});
+
+describe('transduce()', function () {
+  // Transducers written against the protocol alone, the way other libraries
+  // write them.
+  function mapping(f) {
+    return function (xf) {
+      return {
+        '@@transducer/init': function () { return xf['@@transducer/init'](); },
+        '@@transducer/step': function (accumulated, item) {
+          return xf['@@transducer/step'](accumulated, f(item));
+        },
+        '@@transducer/result': function (accumulated) {
+          return xf['@@transducer/result'](accumulated);
+        }
+      };
+    };
+  }
+
+  function taking(n) {
+    return function (xf) {
+      var count = 0;
+      return {
+        '@@transducer/init': function () { return xf['@@transducer/init'](); },
+        '@@transducer/step': function (accumulated, item) {
+          count = count + 1;
+          accumulated = xf['@@transducer/step'](accumulated, item);
+          if (count < n) return accumulated;
+          return { '@@transducer/reduced': true, '@@transducer/value': accumulated };
+        },
+        '@@transducer/result': function (accumulated) {
+          return xf['@@transducer/result'](accumulated);
+        }
+      };
+    };
+  }
+
+  function pairing(xf) {
+    var pending = [];
+    return {
+      '@@transducer/init': function () { return xf['@@transducer/init'](); },
+      '@@transducer/step': function (accumulated, item) {
+        pending.push(item);
+        if (pending.length < 2) return accumulated;
+        return xf['@@transducer/step'](accumulated, pending.splice(0));
+      },
+      '@@transducer/result': function (accumulated) {
+        if (pending.length) accumulated = xf['@@transducer/step'](accumulated, pending.splice(0));
+        return xf['@@transducer/result'](accumulated);
+      }
+    };
+  }
+
+  it('should apply a protocol transducer to a source', function () {
+    return toArray(transduce([1, 2, 3], mapping(function (x) {
+      return x * 2;
+    }))).then(function (result) {
+      assert.deepEqual(result, [2, 4, 6]);
+    });
+  });
+
+  it('should end the source when the transducer returns a reduced value', function () {
+    var pulled = [];
+    var x = map([1, 2, 3, 4], function (x) {
+      pulled.push(x);
+      return x;
+    });
+
+    return toArray(transduce(x, taking(2))).then(function (result) {
+      assert.deepEqual(result, [1, 2]);
+      assert.deepEqual(pulled, [1, 2]);
+    });
+  });
+
+  it('should call result at end of source, so transducers can flush', function () {
+    return toArray(transduce([1, 2, 3], pairing)).then(function (result) {
+      assert.deepEqual(result, [[1, 2], [3]]);
+    });
+  });
+
+  it('should send exceptions thrown by the transducer as error items', function () {
+    var items = collect(transduce([1, 2], mapping(function (x) {
+      if (x === 1) throw 'boom';
+      return x;
+    })));
+
+    assert.strictEqual(items[0].reason, 'boom');
+    assert.deepEqual(items.slice(1), [2, end]);
+  });
+});
+
+describe('transducers', function () {
+  // A minimal protocol-following `into`, like the ones in transducers-js and
+  // Ramda.
+  function intoArray(xform, array) {
+    var xf = xform({
+      '@@transducer/init': function () { return []; },
+      '@@transducer/step': function (accumulated, item) {
+        accumulated.push(item);
+        return accumulated;
+      },
+      '@@transducer/result': id
+    });
+
+    var accumulated = xf['@@transducer/init']();
+    for (var i = 0; i < array.length; i++) {
+      accumulated = xf['@@transducer/step'](accumulated, array[i]);
+      if (isReduced(accumulated)) {
+        accumulated = accumulated['@@transducer/value'];
+        break;
+      }
+    }
+
+    return xf['@@transducer/result'](accumulated);
+  }
+
+  function compose(f, g) {
+    return function (xf) {
+      return f(g(xf));
+    };
+  }
+
+  it('should work with protocol-following reductions', function () {
+    var xform = compose(transducers.filter(function (x) {
+      return x % 2;
+    }), transducers.map(function (x) {
+      return x * 10;
+    }));
+
+    assert.deepEqual(intoArray(xform, [1, 2, 3, 4, 5]), [10, 30, 50]);
+  });
+
+  it('should return reduced values from take()', function () {
+    var steps = 0;
+    var xform = compose(transducers.map(function (x) {
+      steps = steps + 1;
+      return x;
+    }), transducers.take(2));
+
+    assert.deepEqual(intoArray(xform, [1, 2, 3, 4]), [1, 2]);
+    assert.strictEqual(steps, 2);
+  });
+
+  it('should flush chunk() and partitionBy() on result', function () {
+    assert.deepEqual(intoArray(transducers.chunk(2), [1, 2, 3]), [[1, 2], [3]]);
+    assert.deepEqual(intoArray(transducers.partitionBy(function (x) {
+      return x > 1;
+    }), [1, 2, 3]), [[1], [2, 3]]);
+  });
+
+  it('should throw exceptions instead of sending error items', function () {
+    var xform = transducers.map(function () {
+      throw new Error('boom');
+    });
+
+    assert.throws(function () {
+      intoArray(xform, [1]);
+    }, /boom/);
+  });
+
+  it('should compose with transduce()', function () {
+    return toArray(transduce([1, 2, 3, 4, 5], compose(transducers.drop(1), transducers.take(2)))).then(function (result) {
+      assert.deepEqual(result, [2, 3]);
+    });
+  });
+});
+
+describe('fold()', function () {
+  function plus(a, b) {
+    return arguments.length ? a + b : 0;
+  }
+
+  function upTo(n) {
+    var array = [];
+    for (var i = 0; i < n; i++) array.push(i);
+    return array;
+  }
+
+  it('should match a sequential accumulation', function () {
+    var numbers = upTo(2000);
+
+    return Promise.all([
+      fold(numbers, plus, plus, { chunkSize: 100 }),
+      toPromise(numbers, plus, 0)
+    ]).then(function (results) {
+      assert.strictEqual(results[0], results[1]);
+    });
+  });
+
+  it('should reduce every chunk from combine()', function () {
+    var seeds = 0;
+
+    function counting(a, b) {
+      if (!arguments.length) seeds = seeds + 1;
+      return plus.apply(null, arguments);
+    }
+
+    return fold(upTo(10), counting, plus, { chunkSize: 3 }).then(function (result) {
+      assert.strictEqual(result, 45);
+      assert.strictEqual(seeds, 4);
+    });
+  });
+
+  it('should fold typed arrays', function () {
+    return fold(new Float64Array([1, 2, 3, 4, 5]), plus, plus, { chunkSize: 2 }).then(function (result) {
+      assert.strictEqual(result, 15);
+    });
+  });
+
+  it('should keep map() and filter() chains working over the chunks', function () {
+    var x = map(filter(upTo(100), function (x) {
+      return x % 2;
+    }), function (x) {
+      return x * 2;
+    });
+
+    return fold(x, plus, plus, { chunkSize: 7 }).then(function (result) {
+      assert.strictEqual(result, 5000);
+    });
+  });
+
+  it('should not add fields to the accumulatables of transformations', function () {
+    assert.deepEqual(Object.keys(map([1], String)), ['accumulate']);
+  });
+
+  it('should reduce other sources in one go', function () {
+    return fold(take(upTo(10), 4), plus, plus, { chunkSize: 2 }).then(function (result) {
+      assert.strictEqual(result, 6);
+    });
+  });
+
+  it('should reject with exceptions thrown along the way', function () {
+    var x = map(upTo(10), function (x) {
+      if (x === 5) throw 'boom';
+      return x;
+    });
+
+    return fold(x, plus, plus, { chunkSize: 2 }).then(function () {
+      assert(false, 'should not resolve');
+    }, function (reason) {
+      assert.strictEqual(reason, 'boom');
+    });
+  });
+
+  it('should reduce chunks across worker threads', function () {
+    this.timeout(10000);
+
+    var x = map(filter(upTo(1000), function (x) {
+      return x % 3 === 0;
+    }), function (x) {
+      return x * x;
+    });
+
+    return Promise.all([
+      fold(x, plus, plus, { chunkSize: 100, workers: 2 }),
+      toPromise(x, plus, 0)
+    ]).then(function (results) {
+      assert.strictEqual(results[0], results[1]);
+    });
+  });
+
+  it('should reject with error items and exceptions in worker threads too', function () {
+    this.timeout(10000);
+
+    var x = map(upTo(10), function (x) {
+      if (x === 5) throw 'boom';
+      return x;
+    });
+
+    function rejected(promise) {
+      return promise.then(function () {
+        assert(false, 'should not resolve');
+      }, function (reason) {
+        return reason;
+      });
+    }
+
+    return Promise.all([
+      rejected(fold([1, error('x'), 3], plus, plus, { chunkSize: 1, workers: 2 })),
+      rejected(fold(x, plus, plus, { chunkSize: 2, workers: 2 })),
+      rejected(fold([1, 2], plus, function () {
+        process.exit(3);
+      }, { chunkSize: 1, workers: 1 }))
+    ]).then(function (reasons) {
+      assert.strictEqual(reasons[0], 'x');
+      assert.strictEqual(reasons[1], 'boom');
+      assert(/code 3/.test(reasons[2].message));
+    });
+  });
+});
+
+describe('unfold()', function () {
+  it('should make a source from a seed until f returns null', function () {
+    return toArray(unfold(function (n) {
+      return n < 3 ? [n * 10, n + 1] : null;
+    }, 0)).then(function (result) {
+      assert.deepEqual(result, [0, 10, 20]);
+    });
+  });
+
+  it('should send an exception thrown by f as an error item, then end', function () {
+    var items = collect(unfold(function () {
+      throw 'boom';
+    }, 0));
+
+    assert.strictEqual(items[0].reason, 'boom');
+    assert.deepEqual(items.slice(1), [end]);
+  });
+
+  it('should only run f as items are pulled', async function () {
+    var mapped = 0;
+    var x = map(range(), function (n) {
+      mapped = mapped + 1;
+      return n;
+    });
+
+    var result = [];
+    for await (var item of x) {
+      result.push(item);
+      if (result.length === 3) break;
+    }
+
+    assert.deepEqual(result, [0, 1, 2]);
+    assert.strictEqual(mapped, 3);
+  });
+});
+
+describe('range()', function () {
+  it('should count from start up to stop by step', function () {
+    return Promise.all([
+      toArray(range(3)),
+      toArray(range(2, 5)),
+      toArray(range(10, 0, -5)),
+      toArray(take(range(), 3))
+    ]).then(function (results) {
+      assert.deepEqual(results, [[0, 1, 2], [2, 3, 4], [10, 5], [0, 1, 2]]);
+    });
+  });
+});
+
+describe('iterate()', function () {
+  it('should only call f once each item has been taken', function () {
+    var calls = 0;
+
+    return toArray(take(iterate(function (x) {
+      calls = calls + 1;
+      return x * 2;
+    }, 1), 5)).then(function (result) {
+      assert.deepEqual(result, [1, 2, 4, 8, 16]);
+      assert.strictEqual(calls, 4);
+    });
+  });
+});
+
+describe('repeat()', function () {
+  it('should repeat x n times, or forever', function () {
+    return Promise.all([
+      toArray(repeat('a', 3)),
+      toArray(take(repeat('b'), 2))
+    ]).then(function (results) {
+      assert.deepEqual(results, [['a', 'a', 'a'], ['b', 'b']]);
+    });
+  });
+});
+
+describe('cycle()', function () {
+  it('should repeat the items of source forever', function () {
+    return toArray(take(cycle([1, 2]), 5)).then(function (result) {
+      assert.deepEqual(result, [1, 2, 1, 2, 1]);
+    });
+  });
+
+  it('should end if source is empty', function () {
+    return toArray(cycle([])).then(function (result) {
+      assert.deepEqual(result, []);
+    });
+  });
+
+  it('should cycle asynchronous sources', function () {
+    var v = virtualScheduler();
+    var source = fromTimeline(marbles('-a-b|'), v);
+    var recorded = record(take(cycle(source), 3), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[10, 'a'], [30, 'b'], [50, 'a'], [50, end]]);
+  });
+
+  it('should stop cycling when disposed', function () {
+    var v = virtualScheduler();
+    var items = collect(cycle(fromTimeline(marbles('-a|'), v)));
+
+    v.advance(35);
+    items.dispose();
+    v.advance(1000);
+    assert.deepEqual(items, ['a', 'a']);
+  });
+});
+
+// A tiny WebSocket server that echoes text messages. Only understands
+// unfragmented frames of less than 64KB, which is plenty for tests.
+function makeEchoServer() {
+  var server = nodeHttp.createServer();
+
+  function frame(opcode, payload) {
+    var header = payload.length < 126 ?
+      Buffer.from([0x80 | opcode, payload.length]) :
+      Buffer.from([0x80 | opcode, 126, payload.length >> 8, payload.length & 0xff]);
+    return Buffer.concat([header, payload]);
+  }
+
+  server.on('upgrade', function (req, connection) {
+    var accept = crypto.createHash('sha1')
+      .update(req.headers['sec-websocket-key'] + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+      .digest('base64');
+
+    connection.write('HTTP/1.1 101 Switching Protocols\r\n' +
+      'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+      'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+
+    var buffered = Buffer.alloc(0);
+
+    connection.on('data', function (data) {
+      buffered = Buffer.concat([buffered, data]);
+
+      while (buffered.length >= 2) {
+        var opcode = buffered[0] & 0x0f;
+        var length = buffered[1] & 0x7f;
+        var offset = 2;
+
+        if (length === 126) {
+          if (buffered.length < 4) return;
+          length = buffered.readUInt16BE(2);
+          offset = 4;
+        }
+
+        // Frames from clients are always masked.
+        if (buffered.length < offset + 4 + length) return;
+        var mask = buffered.subarray(offset, offset + 4);
+        var payload = Buffer.from(buffered.subarray(offset + 4, offset + 4 + length));
+        for (var i = 0; i < payload.length; i++) payload[i] = payload[i] ^ mask[i % 4];
+        buffered = buffered.subarray(offset + 4 + length);
+
+        if (opcode === 0x8) {
+          connection.end(frame(0x8, payload));
+          return;
+        }
+
+        if (opcode === 0x1) connection.write(frame(0x1, payload));
+      }
+    });
+
+    connection.on('error', function () {});
+  });
+
+  return server;
+}
+
+// A writable that holds on to each chunk for a tick before taking the next.
+// Records the most chunks it ever had waiting.
+function makeSlowWritable(highWaterMark) {
+  var writable = new stream.Writable({
+    objectMode: true,
+    highWaterMark: highWaterMark,
+    write: function (chunk, encoding, callback) {
+      writable.written.push(chunk);
+      setImmediate(callback);
+    }
+  });
+
+  writable.written = [];
+  writable.mostWaiting = 0;
+
+  var write = writable.write;
+  writable.write = function () {
+    var isWritable = write.apply(writable, arguments);
+    writable.mostWaiting = Math.max(writable.mostWaiting, writable.writableLength);
+    return isWritable;
+  };
+
+  return writable;
+}
+
+describe('fromStream()', function () {
+  it('should send chunks, then end', function () {
+    return toArray(fromStream(stream.Readable.from(['a', 'b', 'c']))).then(function (result) {
+      assert.deepEqual(result, ['a', 'b', 'c']);
+    });
+  });
+
+  it('should send stream errors as error items', function () {
+    var readable = new stream.Readable({ read: function () {} });
+    var items = collect(fromStream(readable));
+
+    readable.destroy(new Error('boom'));
+
+    return new Promise(setImmediate).then(function () {
+      assert(isError(items[0]));
+      assert.strictEqual(items[0].reason.message, 'boom');
+      assert.deepEqual(items.slice(1), [end]);
+    });
+  });
+
+  it('should destroy the stream when the consumer returns end', function () {
+    var readable = stream.Readable.from(repeat('x', 100));
+
+    return toArray(take(fromStream(readable), 2)).then(function (result) {
+      assert.deepEqual(result, ['x', 'x']);
+      assert(readable.destroyed);
+    });
+  });
+});
+
+describe('pipeTo()', function () {
+  it('should write items, then end the writable', function () {
+    var writable = makeSlowWritable(16);
+
+    return pipeTo([1, 2, 3], writable).then(function () {
+      assert.deepEqual(writable.written, [1, 2, 3]);
+      assert(writable.writableFinished);
+    });
+  });
+
+  it('should pause streams until the writable drains', function () {
+    var items = [];
+    for (var i = 0; i < 50; i++) items.push(i);
+
+    var readable = stream.Readable.from(items, { highWaterMark: 1 });
+    var writable = makeSlowWritable(4);
+    var doubled = map(fromStream(readable), function (x) {
+      return x * 2;
+    });
+
+    return pipeTo(doubled, writable).then(function () {
+      assert.strictEqual(writable.written.length, 50);
+      assert.strictEqual(writable.written[49], 98);
+      assert(writable.mostWaiting <= 4, 'at most highWaterMark chunks waiting');
+    });
+  });
+
+  it('should pause sources through batching transforms and hubs', function () {
+    var chunked = makeSlowWritable(1);
+    var replayed = makeSlowWritable(1);
+
+    return Promise.all([
+      pipeTo(chunk(range(0, 2000), 2), chunked),
+      pipeTo(replay(range(0, 100)), replayed)
+    ]).then(function () {
+      assert.strictEqual(chunked.written.length, 1000);
+      assert.deepEqual(chunked.written[999], [1998, 1999]);
+      assert(chunked.mostWaiting <= 1, 'at most highWaterMark chunks waiting');
+      assert.strictEqual(replayed.written.length, 100);
+      assert(replayed.mostWaiting <= 1, 'at most highWaterMark chunks waiting');
+    });
+  });
+
+  it('should reject with error items, destroying the writable', function () {
+    var writable = makeSlowWritable(16);
+
+    return pipeTo([1, error('boom')], writable).then(function () {
+      assert(false, 'should not resolve');
+    }, function (reason) {
+      assert.strictEqual(reason, 'boom');
+      assert(writable.destroyed);
+    });
+  });
+
+  it('should keep handling errors from the writable after the first', function () {
+    var writable = makeSlowWritable(16);
+    var piped = pipeTo(channel(), writable);
+
+    writable.emit('error', new Error('first'));
+    writable.emit('error', new Error('second'));
+
+    return piped.then(function () {
+      assert(false, 'should not resolve');
+    }, function (reason) {
+      assert.strictEqual(reason.message, 'first');
+    });
+  });
+});
+
+describe('toStream()', function () {
+  it('should make a readable stream of the items of source', function () {
+    return toArray(fromStream(toStream(map([1, 2, 3], String)))).then(function (result) {
+      assert.deepEqual(result, ['1', '2', '3']);
+    });
+  });
+
+  it('should pipe into writables, following their highWaterMark', function () {
+    var items = [];
+    for (var i = 0; i < 50; i++) items.push(i);
+
+    var writable = makeSlowWritable(2);
+
+    return new Promise(function (resolve) {
+      toStream(fromStream(stream.Readable.from(items)), { highWaterMark: 2 })
+        .pipe(writable)
+        .on('finish', resolve);
+    }).then(function () {
+      assert.strictEqual(writable.written.length, 50);
+      assert(writable.mostWaiting <= 2);
+    });
+  });
+
+  it('should destroy the stream with the reason of an error item', function () {
+    var readable = toStream([1, error(new Error('boom'))]);
+
+    return new Promise(function (resolve) {
+      readable.on('error', resolve);
+      readable.resume();
+    }).then(function (exception) {
+      assert.strictEqual(exception.message, 'boom');
+    });
+  });
+
+  it('should dispose of source when the stream is destroyed', function () {
+    var element = makeStubElement();
+    var readable = toStream(on(element, 'click'));
+
+    readable.resume();
+
+    return new Promise(setImmediate).then(function () {
+      assert.strictEqual(element.listeners.click.length, 1);
+      readable.destroy();
+      assert.strictEqual(element.listeners.click.length, 0);
+    });
+  });
+});
+
+describe('on()', function () {
+  // An emitter with only `on` and `off`, like jQuery.
+  function makeStubEmitter() {
+    var emitter = { handlers: [] };
+
+    emitter.on = function (event, handler) {
+      emitter.handlers.push([event, handler]);
+    };
+
+    emitter.off = function (event, handler) {
+      emitter.handlers = emitter.handlers.filter(function (pair) {
+        return pair[0] !== event || pair[1] !== handler;
+      });
+    };
+
+    emitter.trigger = function (event, e) {
+      emitter.handlers.slice().forEach(function (pair) {
+        if (pair[0] === event) pair[1](e);
+      });
+    };
+
+    return emitter;
+  }
+
+  it('should remove capturing listeners with the same options', function () {
+    var element = makeStubElement();
+    var options = { capture: true, passive: true };
+    var x = collect(on(element, 'scroll', options));
+
+    assert.strictEqual(element.options.scroll, options);
+    element.dispatch('scroll', 'a');
+    x.dispose();
+
+    assert.deepEqual(x, ['a']);
+    assert.strictEqual(element.listeners.scroll.length, 0);
+  });
+
+  it('should end after the first event with once', function () {
+    var element = makeStubElement();
+    var x = collect(on(element, 'click', { once: true }));
+
+    element.dispatch('click', 'a');
+    element.dispatch('click', 'b');
+
+    assert.deepEqual(x, ['a', end]);
+    assert.strictEqual(element.listeners.click.length, 0);
+  });
+
+  it('should listen to Node EventEmitters', function () {
+    var emitter = new nodeEvents.EventEmitter();
+    var x = collect(on(emitter, 'data'));
+
+    emitter.emit('data', 1, 'ignored');
+    emitter.emit('data', 2);
+    assert.strictEqual(emitter.listenerCount('data'), 1);
+    x.dispose();
+
+    assert.deepEqual(x, [1, 2]);
+    assert.strictEqual(emitter.listenerCount('data'), 0);
+  });
+
+  it('should listen to Node EventTargets', function () {
+    var target = new EventTarget();
+    var x = collect(on(target, 'ping'));
+
+    target.dispatchEvent(new Event('ping'));
+    x.dispose();
+    target.dispatchEvent(new Event('ping'));
+
+    assert.strictEqual(x.length, 1);
+    assert.strictEqual(x[0].type, 'ping');
+  });
+
+  it('should listen to on/off style emitters', function () {
+    var emitter = makeStubEmitter();
+    var x = collect(take(on(emitter, 'change'), 2));
+
+    emitter.trigger('change', 'a');
+    emitter.trigger('change', 'b');
+    emitter.trigger('change', 'c');
+
+    assert.deepEqual(x, ['a', 'b', end]);
+    assert.strictEqual(emitter.handlers.length, 0);
+  });
+
+  it('should end once for EventEmitters', function () {
+    var emitter = new nodeEvents.EventEmitter();
+    var x = collect(on(emitter, 'ready', { once: true }));
+
+    emitter.emit('ready', 'a');
+    emitter.emit('ready', 'b');
+
+    assert.deepEqual(x, ['a', end]);
+    assert.strictEqual(emitter.listenerCount('ready'), 0);
+  });
+
+  it('should throw for targets it cannot listen to', function () {
+    assert.throws(function () {
+      on({}, 'click');
+    }, TypeError);
+  });
+});
+
+describe('http()', function () {
+  var server;
+  var base;
+  // Resolved when the server sees a request to /endless go away.
+  var endlessClosed;
+
+  before(function (done) {
+    server = nodeHttp.createServer(function (req, res) {
+      if (req.url === '/text') {
+        res.writeHead(200, { 'Content-Type': 'text/plain', 'X-Thing': 'a' });
+        res.write('hello ');
+        res.end('wörld');
+      }
+      else if (req.url === '/json') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ items: [1, 2] }));
+      }
+      else if (req.url === '/not-json') {
+        res.end('{');
+      }
+      else if (req.url === '/endless') {
+        res.writeHead(200);
+        var timer = setInterval(function () {
+          res.write('x');
+        }, 5);
+        endlessClosed = new Promise(function (resolve) {
+          res.on('close', function () {
+            clearInterval(timer);
+            resolve();
+          });
+        });
+      }
+      else {
+        res.writeHead(404);
+        res.end('nope');
+      }
+    });
+
+    server.listen(0, '127.0.0.1', function () {
+      base = 'http://127.0.0.1:' + server.address().port;
+      done();
+    });
+  });
+
+  after(function (done) {
+    server.close(done);
+  });
+
+  it('should send a response object, then body chunks', function () {
+    return toArray(http(base + '/text')).then(function (items) {
+      var response = items[0];
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.ok, true);
+      assert.strictEqual(response.headers['x-thing'], 'a');
+      assert.strictEqual(response.headers['content-type'], 'text/plain');
+
+      var body = Buffer.concat(items.slice(1).map(function (chunk) {
+        return Buffer.from(chunk);
+      }));
+      assert.strictEqual(body.toString(), 'hello wörld');
+    });
+  });
+
+  it('should send non-2xx responses as error items', function () {
+    return toArray(http(base + '/missing')).then(function () {
+      assert(false, 'should not resolve');
+    }, function (reason) {
+      assert.strictEqual(reason.message, 'HTTP 404 Not Found');
+      assert.strictEqual(reason.response.status, 404);
+    });
+  });
+
+  it('should send network failures as error items', function () {
+    return toArray(http('http://127.0.0.1:1/')).then(function () {
+      assert(false, 'should not resolve');
+    }, function (reason) {
+      assert(reason instanceof Error);
+    });
+  });
+
+  it('should abort the request when the consumer ends', function () {
+    this.timeout(5000);
+
+    return toArray(take(http(base + '/endless'), 2)).then(function (items) {
+      assert.strictEqual(items[0].status, 200);
+      return endlessClosed;
+    });
+  });
+
+  it('should send the body as text with httpText()', function () {
+    return toArray(httpText(base + '/text')).then(function (result) {
+      assert.deepEqual(result, ['hello wörld']);
+    });
+  });
+
+  it('should send the body as JSON with httpJSON()', function () {
+    return toArray(httpJSON(base + '/json', { headers: { Accept: 'application/json' } })).then(function (result) {
+      assert.deepEqual(result, [{ items: [1, 2] }]);
+    });
+  });
+
+  it('should send bodies that are not JSON as error items', function () {
+    return toArray(httpJSON(base + '/not-json')).then(function () {
+      assert(false, 'should not resolve');
+    }, function (reason) {
+      assert(reason instanceof SyntaxError);
+    });
+  });
+});
+
+describe('retry()', function () {
+  // Returns a factory of sources that fail `failures` times, then succeed.
+  function makeFlaky(v, failures) {
+    var factory = function (attempt) {
+      factory.attempts.push(attempt);
+      var diagram = attempt <= failures ? '-a#' : '-b|';
+      return fromTimeline(marbles(diagram, { '#': 'boom' + attempt }), v);
+    };
+
+    factory.attempts = [];
+    return factory;
+  }
+
+  it('should retry failed sources with exponential backoff', function () {
+    var v = virtualScheduler();
+    var flaky = makeFlaky(v, 2);
+    var recorded = record(retry(flaky, { attempts: 3, backoff: 100 }, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(flaky.attempts, [1, 2, 3]);
+    assert.deepEqual(recorded, [[10, 'a'], [130, 'a'], [350, 'b'], [360, end]]);
+  });
+
+  it('should give up with the last error', function () {
+    var v = virtualScheduler();
+    var recorded = record(retry(makeFlaky(v, 5), { attempts: 2, backoff: 100 }, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded.map(function (pair) {
+      return isError(pair[1]) ? [pair[0], pair[1].reason] : pair;
+    }), [[10, 'a'], [130, 'a'], [140, 'boom2'], [140, end]]);
+  });
+
+  it('should only retry errors that shouldRetry() accepts', function () {
+    var v = virtualScheduler();
+    var flaky = makeFlaky(v, 5);
+    var reasons = [];
+    var recorded = record(retry(flaky, {
+      shouldRetry: function (reason, attempt) {
+        reasons.push([reason, attempt]);
+        return false;
+      }
+    }, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(flaky.attempts, [1]);
+    assert.deepEqual(reasons, [['boom1', 1]]);
+    assert.strictEqual(recorded[1][1].reason, 'boom1');
+  });
+
+  it('should shorten waits by up to jitter', function () {
+    var v = virtualScheduler();
+    var flaky = makeFlaky(v, 1);
+    var recorded = record(retry(flaky, { backoff: 100, jitter: 0.5 }, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(flaky.attempts, [1, 2]);
+    assert(recorded[1][0] >= 80 && recorded[1][0] <= 130, 'retried after 50-100ms');
+  });
+
+  it('should treat exceptions thrown by sourceFactory as failures', function () {
+    var v = virtualScheduler();
+    var calls = 0;
+    var recorded = record(retry(function () {
+      calls = calls + 1;
+      if (calls === 1) throw 'boom';
+      return ['ok'];
+    }, { backoff: 10 }, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[10, 'ok'], [10, end]]);
+  });
+
+  it('should cancel a pending attempt when disposed', function () {
+    var v = virtualScheduler();
+    var flaky = makeFlaky(v, 5);
+    var dispose = accumulate(retry(flaky, { backoff: 100 }, v), id);
+
+    v.advance(50);
+    dispose();
+    v.advance(1000);
+    assert.deepEqual(flaky.attempts, [1]);
+  });
+});
+
+describe('repeatWhen()', function () {
+  it('should repeat sources until delayFor() returns null', function () {
+    var v = virtualScheduler();
+    var counts = [];
+    var recorded = record(repeatWhen(function () {
+      return fromTimeline(marbles('-x|'), v);
+    }, function (count) {
+      counts.push(count);
+      return count < 2 ? 10 : null;
+    }, v), v);
+
+    v.advance(1000);
+    assert.deepEqual(counts, [1, 2]);
+    assert.deepEqual(recorded, [[10, 'x'], [40, 'x'], [50, end]]);
+  });
+});
+
+describe('poll()', function () {
+  it('should accumulate a fresh source ms after each one ends', function () {
+    var v = virtualScheduler();
+    var made = 0;
+    var recorded = record(take(poll(function () {
+      made = made + 1;
+      return fromTimeline(marbles('-x|'), v);
+    }, 50, v), 3), v);
+
+    v.advance(1000);
+    assert.deepEqual(recorded, [[10, 'x'], [80, 'x'], [150, 'x'], [150, end]]);
+    assert.strictEqual(made, 3);
+  });
+});
+
+describe('lines()', function () {
+  it('should re-chunk text into lines, flushing the last at end', function () {
+    return toArray(lines(['a\nb', 'c\r', '\nd\n\ne'])).then(function (result) {
+      assert.deepEqual(result, ['a', 'bc', 'd', '', 'e']);
+    });
+  });
+
+  it('should decode bytes, even characters split between chunks', function () {
+    var bytes = Buffer.from('wö\nrld');
+    var chunks = [bytes.subarray(0, 2), bytes.subarray(2)];
+
+    return toArray(lines(chunks)).then(function (result) {
+      assert.deepEqual(result, ['wö', 'rld']);
+    });
+  });
+
+  it('should stop when the consumer ends', function () {
+    return toArray(take(lines(['a\nb\nc\n']), 2)).then(function (result) {
+      assert.deepEqual(result, ['a', 'b']);
+    });
+  });
+
+  it('should send chunks that are not text as an error item, then end', function () {
+    var items = collect(lines(['a\n', 42, 'b\n']));
+
+    assert.strictEqual(items[0], 'a');
+    assert(items[1].reason instanceof TypeError);
+    assert.deepEqual(items.slice(2), [end]);
+  });
+});
+
+describe('ndjson()', function () {
+  it('should parse one JSON value per line, sending bad lines as error items', function () {
+    var items = collect(ndjson(['{"a":', '1}\n\n[2]\n', 'nope\n3']));
+
+    assert.deepEqual(items.slice(0, 2), [{ a: 1 }, [2]]);
+    assert(items[2].reason instanceof SyntaxError);
+    assert.deepEqual(items.slice(3), [3, end]);
+  });
+});
+
+describe('csv()', function () {
+  it('should parse records, with quoted fields spanning chunks', function () {
+    var chunks = ['a,"b ""', 'c"""\r', '\n1,"2\n', '3",\r\n\r\n', 'x'];
+
+    assert.deepEqual(collect(csv(chunks)), [
+      ['a', 'b "c"'],
+      ['1', '2\n3', ''],
+      ['x'],
+      end
+    ]);
+  });
+
+  it('should send objects keyed by the header', function () {
+    var x = csv(['name,age\n', 'ann,41\n', 'bob,"7"'], { header: true });
+
+    assert.deepEqual(collect(x), [
+      { name: 'ann', age: '41' },
+      { name: 'bob', age: '7' },
+      end
+    ]);
+  });
+
+  it('should send malformed records as error items, and carry on', function () {
+    var items = collect(csv(['a,b\n', 'c"d,e\n', '"f"g,h\n', 'i,j\n', '"k'], { header: true }));
+
+    assert.strictEqual(items.length, 5);
+    assert(items[0].reason instanceof SyntaxError);
+    assert(/record 2/.test(items[0].reason.message));
+    assert(items[1].reason instanceof SyntaxError);
+    assert.deepEqual(items[2], { a: 'i', b: 'j' });
+    assert(/unterminated/.test(items[3].reason.message));
+    assert.strictEqual(items[4], end);
+  });
+
+  it('should send records with the wrong number of fields as error items', function () {
+    var items = collect(csv(['a,b\n1,2,3\n'], { header: true }));
+
+    assert(/expected 2 fields, found 3/.test(items[0].reason.message));
+    assert.strictEqual(items[1], end);
+  });
+});
+
+describe('socket()', function () {
+  // A stand-in for `WebSocket`. Tests open, drop and message its instances
+  // by hand.
+  function makeStubWebSocket() {
+    function StubWebSocket(url, protocols) {
+      this.url = url;
+      this.protocols = protocols;
+      this.readyState = 0;
+      this.sent = [];
+      this.closedWith = null;
+      StubWebSocket.instances.push(this);
+    }
+
+    StubWebSocket.instances = [];
+
+    StubWebSocket.prototype.send = function (data) {
+      this.sent.push(data);
+    };
+
+    StubWebSocket.prototype.close = function (code) {
+      this.readyState = 3;
+      this.closedWith = code;
+    };
+
+    StubWebSocket.prototype.open = function () {
+      this.readyState = 1;
+      this.onopen({});
+    };
+
+    StubWebSocket.prototype.message = function (data) {
+      this.onmessage({ data: data });
+    };
+
+    StubWebSocket.prototype.drop = function (code) {
+      this.readyState = 3;
+      this.onclose({ code: code });
+    };
+
+    return StubWebSocket;
+  }
+
+  it('should share one connection between consumers', function () {
+    var Stub = makeStubWebSocket();
+    var s = socket('ws://x', { protocols: ['chat'], WebSocket: Stub });
+    var a = collect(s);
+    var b = collect(s);
+
+    Stub.instances[0].open();
+    Stub.instances[0].message('hi');
+
+    assert.strictEqual(Stub.instances.length, 1);
+    assert.deepEqual(Stub.instances[0].protocols, ['chat']);
+    assert.deepEqual(a, ['hi']);
+    assert.deepEqual(b, ['hi']);
+  });
+
+  it('should buffer messages sent while disconnected', function () {
+    var Stub = makeStubWebSocket();
+    var s = socket('ws://x', { WebSocket: Stub });
+
+    s.send(['a', error('skipped'), 'b']);
+    collect(s);
+    assert.deepEqual(Stub.instances[0].sent, []);
+
+    Stub.instances[0].open();
+    s.send(['c']);
+    assert.deepEqual(Stub.instances[0].sent, ['a', 'b', 'c']);
+  });
+
+  it('should reconnect with backoff, then send what was buffered', function () {
+    var v = virtualScheduler();
+    var Stub = makeStubWebSocket();
+    var s = socket('ws://x', { WebSocket: Stub, reconnect: { backoff: 100 } }, v);
+    var items = collect(s);
+
+    Stub.instances[0].open();
+    Stub.instances[0].drop(1006);
+    s.send(['queued']);
+
+    v.advance(99);
+    assert.strictEqual(Stub.instances.length, 1);
+    v.advance(1);
+    assert.strictEqual(Stub.instances.length, 2);
+
+    Stub.instances[1].drop(1006);
+    v.advance(199);
+    assert.strictEqual(Stub.instances.length, 2);
+    v.advance(1);
+    assert.strictEqual(Stub.instances.length, 3);
+
+    Stub.instances[2].open();
+    Stub.instances[2].message('back');
+    assert.deepEqual(Stub.instances[2].sent, ['queued']);
+    assert.deepEqual(items, ['back']);
+  });
+
+  it('should give up after attempts, with an error item', function () {
+    var v = virtualScheduler();
+    var Stub = makeStubWebSocket();
+    var items = collect(socket('ws://x', { WebSocket: Stub, reconnect: { attempts: 1, backoff: 10 } }, v));
+
+    Stub.instances[0].drop(1006);
+    v.advance(10);
+    Stub.instances[1].drop(1006);
+    v.advance(1000);
+
+    assert.strictEqual(Stub.instances.length, 2);
+    assert(isError(items[0]));
+    assert(/1006/.test(items[0].reason.message));
+    assert.deepEqual(items.slice(1), [end]);
+  });
+
+  it('should end when the server closes normally', function () {
+    var Stub = makeStubWebSocket();
+    var items = collect(socket('ws://x', { WebSocket: Stub }));
+
+    Stub.instances[0].open();
+    Stub.instances[0].drop(1000);
+
+    assert.deepEqual(items, [end]);
+  });
+
+  it('should close the connection once every consumer has ended', function () {
+    var Stub = makeStubWebSocket();
+    var s = socket('ws://x', { WebSocket: Stub });
+    var a = collect(take(s, 1));
+    var b = collect(take(s, 2));
+
+    Stub.instances[0].open();
+    Stub.instances[0].message(1);
+    assert.strictEqual(Stub.instances[0].closedWith, null);
+    Stub.instances[0].message(2);
+
+    assert.deepEqual(a, [1, end]);
+    assert.deepEqual(b, [1, 2, end]);
+    assert.strictEqual(Stub.instances[0].closedWith, 1000);
+  });
+
+  // Runs where there is a global `WebSocket`, like Node 22+, or Node 20 with
+  // `--experimental-websocket`.
+  it('should talk to a real server', function () {
+    if (typeof WebSocket === 'undefined') return this.skip();
+
+    var server = makeEchoServer();
+
+    return new Promise(function (resolve) {
+      server.listen(0, '127.0.0.1', resolve);
+    }).then(function () {
+      var s = socket('ws://127.0.0.1:' + server.address().port);
+      var result = toArray(take(s, 2));
+      s.send(['one', 'two']);
+      return result;
+    }).then(function (result) {
+      assert.deepEqual(result, ['one', 'two']);
+      server.closeAllConnections();
+      server.close();
+    });
+  });
+});
+
+describe('events()', function () {
+  describe('with EventSource', function () {
+    function makeStubEventSource() {
+      function StubEventSource(url, init) {
+        var element = makeStubElement();
+        element.url = url;
+        element.init = init;
+        element.readyState = 1;
+        element.close = function () {
+          element.readyState = 2;
+          element.isClosed = true;
+        };
+        StubEventSource.instances.push(element);
+        return element;
+      }
+
+      StubEventSource.instances = [];
+      return StubEventSource;
+    }
+
+    it('should send events of the given types', function () {
+      var Stub = makeStubEventSource();
+      var items = collect(events('/x', { eventTypes: ['message', 'update'], EventSource: Stub }));
+      var source = Stub.instances[0];
+
+      source.dispatch('message', { data: 'a', lastEventId: '1' });
+      source.dispatch('update', { data: 'b', lastEventId: '2' });
+      source.dispatch('other', { data: 'c', lastEventId: '3' });
+
+      assert.deepEqual(items, [
+        { type: 'message', data: 'a', id: '1' },
+        { type: 'update', data: 'b', id: '2' }
+      ]);
+    });
+
+    it('should close the EventSource when the consumer ends', function () {
+      var Stub = makeStubEventSource();
+      var items = collect(take(events('/x', { EventSource: Stub }), 1));
+      var source = Stub.instances[0];
+
+      source.dispatch('message', { data: 'a', lastEventId: '' });
+
+      assert.strictEqual(items.length, 2);
+      assert(source.isClosed);
+      assert.strictEqual(source.listeners.message.length, 0);
+      assert.strictEqual(source.listeners.error.length, 0);
+    });
+
+    it('should send an error item once the EventSource gives up', function () {
+      var Stub = makeStubEventSource();
+      var items = collect(events('/x', { EventSource: Stub }));
+      var source = Stub.instances[0];
+
+      // Reconnecting.
+      source.readyState = 0;
+      source.dispatch('error', {});
+      assert.strictEqual(items.length, 0);
+
+      source.readyState = 2;
+      source.dispatch('error', {});
+      assert(isError(items[0]));
+      assert.deepEqual(items.slice(1), [end]);
+    });
+  });
+
+  describe('without EventSource', function () {
+    var server;
+    var base;
+    var requests = [];
+
+    before(function (done) {
+      server = nodeHttp.createServer(function (req, res) {
+        requests.push(req);
+
+        if (req.url === '/refused') {
+          res.writeHead(403);
+          return res.end();
+        }
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+
+        if (req.headers['last-event-id'] === '2') {
+          res.write('data: after reconnect\n\n');
+          return;
+        }
+
+        // Split mid-field, with every kind of line break.
+        res.write('\uFEFF: a comment\r\nretry: 10\nid: 1\ndata: first\ndata:');
+        res.write(' line\r\rdata: x\nevent: update\r\n\ndata: no type\n');
+        res.end('id: 2\n\ndata: unfinished');
+      });
+
+      server.listen(0, '127.0.0.1', function () {
+        base = 'http://127.0.0.1:' + server.address().port;
+        done();
+      });
+    });
+
+    after(function (done) {
+      server.closeAllConnections();
+      server.close(done);
+    });
+
+    it('should parse the event stream, and reconnect with Last-Event-ID', function () {
+      this.timeout(5000);
+      requests = [];
+
+      return toArray(take(events(base + '/stream', {
+        eventTypes: ['message', 'update'],
+        EventSource: null
+      }), 4)).then(function (items) {
+        assert.deepEqual(items, [
+          { type: 'message', data: 'first\nline', id: '1' },
+          { type: 'update', data: 'x', id: '1' },
+          { type: 'message', data: 'no type', id: '2' },
+          { type: 'message', data: 'after reconnect', id: '2' }
+        ]);
+        assert.strictEqual(requests.length, 2);
+        assert.strictEqual(requests[0].headers.accept, 'text/event-stream');
+        assert.strictEqual(requests[1].headers['last-event-id'], '2');
+      });
+    });
+
+    it('should close the connection when the consumer ends', function () {
+      this.timeout(5000);
+      requests = [];
+
+      var closed = new Promise(function (resolve) {
+        server.once('request', function (req, res) {
+          res.on('close', resolve);
+        });
+      });
+
+      return toArray(take(events(base + '/stream', { EventSource: null }), 1)).then(function (items) {
+        assert.strictEqual(items[0].data, 'first\nline');
+        return closed;
+      });
+    });
+
+    it('should send an error item if the server refuses', function () {
+      return toArray(events(base + '/refused', { EventSource: null })).then(function () {
+        assert(false, 'should not resolve');
+      }, function (reason) {
+        assert.strictEqual(reason.response.status, 403);
+      });
+    });
   });
 });